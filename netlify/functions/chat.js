@@ -0,0 +1,14 @@
+/**
+ * Netlify Function: /api/chat/completions
+ * Deploys the chat proxy; set GROQ_API_KEY (not VITE_GROQ_API_KEY) in the site's environment
+ */
+
+import { handleChatRequest } from '../../server/chat-proxy.js';
+
+export default async (request, context) => {
+  return handleChatRequest(request, { clientIp: context.ip, env: process.env });
+};
+
+export const config = {
+  path: '/api/chat/completions',
+};
@@ -0,0 +1,186 @@
+/**
+ * Chat Proxy
+ * Forwards chat completions to Groq with the API key held on the server
+ * Shared by the Netlify function and the local proxy server; both speak the
+ * Fetch API Request/Response types. The endpoint is OpenAI-compatible, so the
+ * browser uses the same transport as for any other provider.
+ */
+
+const DEFAULT_API_URL = 'https://api.groq.com/openai/v1';
+const DEFAULT_MODEL = 'meta-llama/llama-4-scout-17b-16e-instruct';
+
+const MAX_BODY_BYTES = 256 * 1024;
+const MAX_MESSAGES = 60;
+const MAX_TOKENS = 8000;
+const RATE_LIMIT_REQUESTS = 20;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+const ALLOWED_ROLES = ['system', 'user', 'assistant'];
+
+// Per-IP request timestamps; each function instance keeps its own window
+const requestLog = new Map();
+
+/**
+ * Records a request and checks it against the per-IP limit
+ * @param {string} clientIp - Client address
+ * @param {number} now - Current time in ms
+ * @returns {number} - Seconds until the next request is allowed, or 0 if allowed
+ */
+function checkRateLimit(clientIp, now = Date.now()) {
+  const recent = (requestLog.get(clientIp) || []).filter(time => now - time < RATE_LIMIT_WINDOW_MS);
+
+  if (recent.length >= RATE_LIMIT_REQUESTS) {
+    requestLog.set(clientIp, recent);
+    return Math.ceil((recent[0] + RATE_LIMIT_WINDOW_MS - now) / 1000);
+  }
+
+  recent.push(now);
+  requestLog.set(clientIp, recent);
+
+  // Drop idle clients so the map does not grow without bound
+  if (requestLog.size > 10000) {
+    for (const [ip, times] of requestLog) {
+      if (times.every(time => now - time >= RATE_LIMIT_WINDOW_MS)) requestLog.delete(ip);
+    }
+  }
+
+  return 0;
+}
+
+function jsonError(status, message, headers = {}) {
+  return new Response(JSON.stringify({ error: { message } }), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+/**
+ * Reads the request body, stopping once it exceeds the size limit
+ * @param {Request} request - Incoming request
+ * @returns {Promise<string|null>} - Body text, or null if it is too large
+ */
+async function readLimitedBody(request) {
+  const declared = Number(request.headers.get('content-length'));
+  if (declared > MAX_BODY_BYTES) return null;
+
+  const reader = request.body?.getReader();
+  if (!reader) return '';
+
+  const decoder = new TextDecoder();
+  let size = 0;
+  let text = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    size += value.byteLength;
+    if (size > MAX_BODY_BYTES) {
+      await reader.cancel();
+      return null;
+    }
+    text += decoder.decode(value, { stream: true });
+  }
+
+  return text + decoder.decode();
+}
+
+/**
+ * Validates the chat request and builds the upstream body
+ * Only messages, the stream flag and JSON mode are taken from the client; the model and
+ * sampling settings are fixed here so the key cannot be used for other requests.
+ * @param {Object} body - Parsed request body
+ * @param {string} model - Model to use
+ * @returns {Object} - { payload } or { error }
+ */
+function buildUpstreamPayload(body, model) {
+  const messages = body?.messages;
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { error: 'Messages array is required and cannot be empty' };
+  }
+  if (messages.length > MAX_MESSAGES) {
+    return { error: `Too many messages (maximum ${MAX_MESSAGES})` };
+  }
+
+  const invalid = messages.some(message =>
+    !message || !ALLOWED_ROLES.includes(message.role) || typeof message.content !== 'string'
+  );
+  if (invalid) {
+    return { error: 'Each message needs a role of system, user or assistant and string content' };
+  }
+
+  return {
+    payload: {
+      model,
+      messages: messages.map(({ role, content }) => ({ role, content })),
+      temperature: 0.7,
+      max_tokens: MAX_TOKENS,
+      ...(body.stream === true && { stream: true, stream_options: { include_usage: true } }),
+      ...(body.response_format?.type === 'json_object' && { response_format: { type: 'json_object' } }),
+    },
+  };
+}
+
+/**
+ * Handles a proxied chat completion request
+ * @param {Request} request - Incoming request
+ * @param {Object} options - { clientIp, env }
+ * @returns {Promise<Response>}
+ */
+export async function handleChatRequest(request, { clientIp = 'unknown', env = {} } = {}) {
+  if (request.method !== 'POST') {
+    return jsonError(405, 'Method not allowed', { Allow: 'POST' });
+  }
+
+  if (!env.GROQ_API_KEY) {
+    return jsonError(500, 'The chat proxy is not configured. Set GROQ_API_KEY on the server.');
+  }
+
+  const retryAfter = checkRateLimit(clientIp);
+  if (retryAfter > 0) {
+    return jsonError(429, 'Too many requests. Please wait a moment and try again.', { 'Retry-After': String(retryAfter) });
+  }
+
+  const bodyText = await readLimitedBody(request);
+  if (bodyText === null) {
+    return jsonError(413, `Request is too large (maximum ${Math.round(MAX_BODY_BYTES / 1024)} KB)`);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(bodyText);
+  } catch {
+    return jsonError(400, 'Request body must be JSON');
+  }
+
+  const { payload, error } = buildUpstreamPayload(body, env.GROQ_MODEL || DEFAULT_MODEL);
+  if (error) {
+    return jsonError(400, error);
+  }
+
+  let upstream;
+  try {
+    upstream = await fetch(`${(env.GROQ_API_URL || DEFAULT_API_URL).replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${env.GROQ_API_KEY}`,
+      },
+      body: JSON.stringify(payload),
+      // Stop the upstream request when the browser disconnects
+      signal: request.signal,
+    });
+  } catch (err) {
+    return jsonError(502, `Could not reach the AI provider: ${err.message}`);
+  }
+
+  // Pass the body through unchanged so streamed chunks reach the browser as they arrive
+  const headers = { 'Content-Type': upstream.headers.get('content-type') || 'application/json', 'Cache-Control': 'no-store' };
+  ['retry-after', 'x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens'].forEach(name => {
+    const value = upstream.headers.get(name);
+    if (value) headers[name] = value;
+  });
+
+  return new Response(upstream.body, { status: upstream.status, headers });
+}
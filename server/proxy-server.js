@@ -0,0 +1,61 @@
+/**
+ * Local Chat Proxy Server
+ * Runs the chat proxy on Node for development: `bun run proxy`
+ * Vite forwards /api requests here, so the browser never sees the API key.
+ */
+
+import { createServer } from 'node:http';
+import { Readable } from 'node:stream';
+import { handleChatRequest } from './chat-proxy.js';
+
+const PORT = Number(process.env.PROXY_PORT) || 8787;
+const CHAT_PATH = '/api/chat/completions';
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (url.pathname !== CHAT_PATH) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: 'Not found' } }));
+    return;
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const request = new Request(url, {
+      method: req.method,
+      headers: req.headers,
+      body: req.method === 'GET' || req.method === 'HEAD' ? undefined : Readable.toWeb(req),
+      duplex: 'half',
+      signal: controller.signal,
+    });
+
+    const response = await handleChatRequest(request, {
+      clientIp: req.socket.remoteAddress,
+      env: process.env,
+    });
+
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    if (response.body) {
+      Readable.fromWeb(response.body).on('error', () => res.destroy()).pipe(res);
+    } else {
+      res.end();
+    }
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Chat proxy failed:', error);
+    if (!res.headersSent) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+    }
+    res.end(JSON.stringify({ error: { message: 'Chat proxy failed' } }));
+  }
+});
+
+server.listen(PORT, () => {
+  if (!process.env.GROQ_API_KEY) {
+    console.warn('GROQ_API_KEY is not set; requests will fail until it is.');
+  }
+  console.log(`Chat proxy listening on http://localhost:${PORT}${CHAT_PATH}`);
+});
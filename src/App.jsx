@@ -3,8 +3,16 @@ import WebHeader from './components/web-header';
 import TranscriptUploader from './components/transcript-uploader';
 import ToneSelector from './components/tone-selector';
 import AnalysisMethodSelector from './components/analysis-method-selector';
+import OutputFormatSelector from './components/output-format-selector';
 import ContextInput from './components/context-input';
+import RedactionPreview from './components/redaction-preview';
+import GPASummary from './components/gpa-summary';
+import CourseReview from './components/course-review';
 import ChatInterface from './components/chat-interface';
+import UsagePanel from './components/usage-panel';
+import SessionSidebar from './components/session-sidebar';
+import VaultSettings from './components/vault-settings';
+import VaultLockScreen from './components/vault-lock-screen';
 import { useTranscriptAnalyzer } from './hooks/use-transcript-analyzer';
 
 function App() {
@@ -13,25 +21,68 @@ function App() {
     additionalContext,
     tone,
     analysisMethod,
+    outputFormat,
+    responseCacheEnabled,
     messages,
     isLoading,
     isStreaming,
     streamingText,
+    retryStatus,
+    completingSections,
+    usage,
+    sessions,
+    activeSessionId,
+    vaultStatus,
+    vaultAutoLockMinutes,
+    isStreamingElsewhere,
     error,
     isProcessing,
     processingStage,
-    uploadedFileName,
+    processingProgress,
+    transcripts,
+    parsedTranscript,
+    reviewedTranscript,
+    hasCourseEdits,
+    gradingScale,
+    redactions,
+    redactedPreview,
     setAdditionalContext,
-    setTone,
-    setAnalysisMethod,
-    handleTranscriptExtracted,
+    setGradingScale,
+    handleTranscriptsExtracted,
+    handleTranscriptRemoved,
+    handleRedactionToggle,
+    handleRedactionAdd,
+    handleCourseChange,
+    handleCourseAdd,
+    handleCourseRemove,
+    handleCourseEditsReset,
     handleError,
     handleSubmit,
     handleFollowUp,
+    handleStop,
+    handleRegenerate,
+    handleToneChange,
+    handleAnalysisMethodChange,
+    handleOutputFormatChange,
+    handleResponseCacheToggle,
+    handleResponseCacheClear,
+    handleUsageReset,
     handleClear,
+    handleSessionResume,
+    handleSessionRename,
+    handleSessionDelete,
+    handleSessionExport,
+    handleSessionImport,
+    handleVaultEnable,
+    handleVaultUnlock,
+    handleVaultLock,
+    handleVaultDisable,
+    handleVaultWipe,
+    handleVaultAutoLockChange,
   } = useTranscriptAnalyzer();
 
   const [showInputs, setShowInputs] = useState(true);
+  const [showHistory, setShowHistory] = useState(false);
 
   const canSubmit = (summarizedText.trim() || additionalContext.trim()) && !isProcessing;
   const hasMessages = messages.length > 0;
@@ -44,7 +95,46 @@ function App() {
         color: 'hsl(var(--color-text))',
       }}
     >
-      <WebHeader />
+      <WebHeader onHistoryClick={() => setShowHistory(true)} />
+
+      {showHistory && (
+        <SessionSidebar
+          sessions={sessions}
+          activeSessionId={activeSessionId}
+          canExport={messages.length > 0 || transcripts.length > 0}
+          onResume={(id) => {
+            handleSessionResume(id);
+            setShowHistory(false);
+          }}
+          onRename={handleSessionRename}
+          onDelete={handleSessionDelete}
+          onExport={handleSessionExport}
+          onImport={async (file) => {
+            await handleSessionImport(file);
+            setShowHistory(false);
+          }}
+          onNew={() => {
+            handleClear();
+            setShowHistory(false);
+          }}
+          onClose={() => setShowHistory(false)}
+        >
+          <VaultSettings
+            status={vaultStatus}
+            autoLockMinutes={vaultAutoLockMinutes}
+            onEnable={handleVaultEnable}
+            onLock={async () => {
+              setShowHistory(false);
+              await handleVaultLock();
+            }}
+            onDisable={handleVaultDisable}
+            onWipe={handleVaultWipe}
+            onAutoLockChange={handleVaultAutoLockChange}
+          />
+        </SessionSidebar>
+      )}
+
+      {vaultStatus === 'locked' && <VaultLockScreen onUnlock={handleVaultUnlock} onWipe={handleVaultWipe} />}
       
       <div className="flex-1 flex flex-col overflow-x-hidden pt-16">
         <div className="container mx-auto px-4 py-6 flex-1 flex flex-col gap-6 max-w-7xl">
@@ -56,21 +146,57 @@ function App() {
                 
                 <div className="space-y-4">
                   <TranscriptUploader
-                    onTranscriptExtracted={handleTranscriptExtracted}
+                    onTranscriptsExtracted={handleTranscriptsExtracted}
+                    onTranscriptRemoved={handleTranscriptRemoved}
                     onError={handleError}
                     isProcessing={isProcessing}
                     processingStage={processingStage}
-                    uploadedFileName={uploadedFileName}
+                    processingProgress={processingProgress}
+                    transcripts={transcripts}
                   />
 
+                  {parsedTranscript && (
+                    <CourseReview
+                      parsedTranscript={reviewedTranscript}
+                      hasEdits={hasCourseEdits}
+                      onCourseChange={handleCourseChange}
+                      onCourseAdd={handleCourseAdd}
+                      onCourseRemove={handleCourseRemove}
+                      onReset={handleCourseEditsReset}
+                    />
+                  )}
+
+                  {parsedTranscript && (
+                    <GPASummary
+                      parsedTranscript={reviewedTranscript}
+                      detectedScale={parsedTranscript.gradingScale}
+                      selectedScale={gradingScale}
+                      onScaleChange={setGradingScale}
+                    />
+                  )}
+
+                  {transcripts.length > 0 && (
+                    <RedactionPreview
+                      redactions={redactions}
+                      previewText={redactedPreview}
+                      onToggle={handleRedactionToggle}
+                      onAdd={handleRedactionAdd}
+                    />
+                  )}
+
                   <ToneSelector
                     selectedTone={tone}
-                    onToneChange={setTone}
+                    onToneChange={handleToneChange}
                   />
 
                   <AnalysisMethodSelector
                     selectedMethod={analysisMethod}
-                    onMethodChange={setAnalysisMethod}
+                    onMethodChange={handleAnalysisMethodChange}
+                  />
+
+                  <OutputFormatSelector
+                    selectedFormat={outputFormat}
+                    onFormatChange={handleOutputFormatChange}
                   />
 
                   <ContextInput
@@ -86,14 +212,14 @@ function App() {
                         color: 'hsl(var(--color-text))',
                       }}
                     >
-                      <p className="text-sm">{error}</p>
+                      <p className="text-sm whitespace-pre-line">{error}</p>
                     </div>
                   )}
 
                   <div className="flex gap-3">
                     <button
                       onClick={() => handleSubmit(false)}
-                      disabled={!canSubmit || isLoading || isStreaming || isProcessing}
+                      disabled={!canSubmit || isLoading || isStreaming || isProcessing || isStreamingElsewhere}
                       className="default primary px-6 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
                     >
                       {isProcessing 
@@ -112,6 +238,22 @@ function App() {
                       </button>
                     )}
                   </div>
+
+                  <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-sm" style={{ color: 'hsl(var(--color-text-muted))' }}>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={responseCacheEnabled}
+                        onChange={(e) => handleResponseCacheToggle(e.target.checked)}
+                      />
+                      Reuse saved analyses for identical requests
+                    </label>
+                    {responseCacheEnabled && (
+                      <button onClick={handleResponseCacheClear} style={{ color: 'hsl(var(--color-primary))' }}>
+                        Clear saved analyses
+                      </button>
+                    )}
+                  </div>
                 </div>
               </div>
             </div>
@@ -138,6 +280,12 @@ function App() {
                 messages={messages}
                 isStreaming={isStreaming}
                 streamingText={streamingText}
+                retryStatus={retryStatus}
+                completingSections={completingSections}
+                redactions={redactions}
+                isStreamingElsewhere={isStreamingElsewhere}
+                onStop={handleStop}
+                onRegenerate={handleRegenerate}
               />
 
               {/* Follow-up Input */}
@@ -164,7 +312,7 @@ function App() {
                     />
                     <button
                       onClick={handleFollowUp}
-                      disabled={!additionalContext.trim() || isLoading || isStreaming}
+                      disabled={!additionalContext.trim() || isLoading || isStreaming || isStreamingElsewhere}
                       className="default primary px-6 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
                     >
                       Send
@@ -172,6 +320,10 @@ function App() {
                   </div>
                 </div>
               )}
+
+              <div className="mt-4">
+                <UsagePanel usage={usage} onReset={handleUsageReset} />
+              </div>
             </div>
           </div>
         </div>
@@ -1,7 +1,52 @@
-import { useEffect, useRef } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { parseMarkdown } from '../utils/markdown-renderer';
+import { restoreText, restoreValue } from '../utils/pii-redactor';
+import StructuredAnalysis from './structured-analysis';
 
-export default function ChatInterface({ messages, isStreaming, streamingText }) {
+const RETRY_LABELS = {
+  'rate-limit': 'Rate limited',
+  server: 'Server error',
+  network: 'Connection lost',
+};
+
+// Counts down to the next retry attempt
+function RetryNotice({ retryStatus }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(timer);
+  }, [retryStatus]);
+
+  const seconds = Math.max(0, Math.ceil((retryStatus.retryAt - now) / 1000));
+
+  return (
+    <div className="text-sm" role="status" style={{ color: 'hsl(var(--color-text-muted))' }}>
+      {RETRY_LABELS[retryStatus.reason]}, {seconds > 0 ? `retrying in ${seconds}s` : 'retrying...'}
+      {' '}(attempt {retryStatus.attempt}/{retryStatus.maxAttempts})
+    </div>
+  );
+}
+
+// Notes on report sections that were regenerated after the response
+function SectionNotes({ message }) {
+  const repaired = message.repairedSections || [];
+  const incomplete = message.incompleteSections || [];
+  if (repaired.length === 0 && incomplete.length === 0) return null;
+
+  return (
+    <div className="text-xs mt-2 space-y-1" style={{ color: 'hsl(var(--color-text-muted))' }}>
+      {repaired.length > 0 && (
+        <p>Completed {repaired.length} missing section{repaired.length > 1 ? 's' : ''} automatically: {repaired.join(', ')}</p>
+      )}
+      {incomplete.length > 0 && (
+        <p>Some sections could not be generated: {incomplete.join(', ')}. Ask a follow-up question to fill them in.</p>
+      )}
+    </div>
+  );
+}
+
+export default function ChatInterface({ messages, isStreaming, streamingText, retryStatus = null, completingSections = null, redactions = [], isStreamingElsewhere = false, onStop, onRegenerate }) {
   const messagesEndRef = useRef(null);
 
   const scrollToBottom = () => {
@@ -47,15 +92,29 @@ export default function ChatInterface({ messages, isStreaming, streamingText })
                 <div className="whitespace-pre-wrap wrap-break-word">
                   {message.content}
                 </div>
+              ) : message.analysis ? (
+                <div className="wrap-break-word">
+                  <StructuredAnalysis analysis={restoreValue(message.analysis, redactions)} />
+                </div>
               ) : (
                 <div className="wrap-break-word markdown-content">
-                  {parseMarkdown(message.content)}
+                  {/* Responses refer to redacted details by placeholder; show the real values locally */}
+                  {parseMarkdown(restoreText(message.content, redactions))}
                 </div>
               )}
+              {message.role === 'assistant' && <SectionNotes message={message} />}
               <div
                 className="text-xs mt-2 opacity-70"
               >
-                {message.role === 'user' ? 'You' : 'AI'}
+                {message.role === 'user' ? 'You' : message.stopped ? 'AI (stopped)' : message.cached ? 'AI (saved response)' : 'AI'}
+                {message.cached && onRegenerate && index === messages.length - 1 && !isStreaming && !isStreamingElsewhere && (
+                  <>
+                    {' · '}
+                    <button onClick={onRegenerate} className="underline">
+                      Regenerate anyway
+                    </button>
+                  </>
+                )}
               </div>
             </div>
           </div>
@@ -71,14 +130,45 @@ export default function ChatInterface({ messages, isStreaming, streamingText })
               }}
             >
               <div className="wrap-break-word markdown-content">
-                {parseMarkdown(streamingText)}
+                {parseMarkdown(restoreText(streamingText, redactions))}
                 <span className="animate-pulse ml-1">▊</span>
               </div>
-              <div className="text-xs mt-2 opacity-70">AI (typing...)</div>
+              <div className="text-xs mt-2 opacity-70">
+                {completingSections ? `AI (filling in missing sections: ${completingSections.join(', ')}...)` : 'AI (typing...)'}
+              </div>
             </div>
           </div>
         )}
 
+        {isStreaming && !streamingText && !retryStatus && (
+          <div className="w-full flex md:justify-start text-sm" role="status" style={{ color: 'hsl(var(--color-text-muted))' }}>
+            <span className="animate-pulse">AI is working on it...</span>
+          </div>
+        )}
+
+        {isStreaming && retryStatus && (
+          <div className="w-full flex md:justify-start">
+            <RetryNotice retryStatus={retryStatus} />
+          </div>
+        )}
+
+        {isStreamingElsewhere && (
+          <div className="w-full flex md:justify-start text-sm" role="status" style={{ color: 'hsl(var(--color-text-muted))' }}>
+            <span className="animate-pulse">A response is being generated in another tab...</span>
+          </div>
+        )}
+
+        {isStreaming && onStop && (
+          <div className="w-full flex md:justify-start">
+            <button
+              onClick={onStop}
+              className="default secondary px-4 py-1 rounded-lg text-sm font-medium"
+            >
+              Stop generating
+            </button>
+          </div>
+        )}
+
         <div ref={messagesEndRef} />
       </div>
     </div>
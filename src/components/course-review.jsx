@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import { COURSE_STATUSES } from '../utils/course-editor';
+
+const inputStyle = {
+  backgroundColor: `hsl(var(--color-surface))`,
+  color: `hsl(var(--color-text))`,
+  borderColor: `hsl(var(--color-border))`,
+};
+
+// Empty inputs become null so they are shown as "-" rather than 0
+function toNumber(value) {
+  if (value === '') return null;
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+export default function CourseReview({ parsedTranscript, hasEdits, onCourseChange, onCourseAdd, onCourseRemove, onReset }) {
+  const [isOpen, setIsOpen] = useState(true);
+
+  if (!parsedTranscript) return null;
+
+  const terms = parsedTranscript.terms.length > 0 ? parsedTranscript.terms : [{ label: null, courses: [] }];
+  const courseCount = parsedTranscript.terms.reduce((sum, term) => sum + term.courses.length, 0);
+
+  return (
+    <div className="w-full">
+      <div className="flex items-center justify-between mb-2">
+        <label className="font-semibold">
+          Review Courses <span className="text-xs font-normal" style={{ color: 'hsl(var(--color-text-muted))' }}>({courseCount} found — fix anything misread before analyzing)</span>
+        </label>
+        <div className="flex gap-3">
+          {hasEdits && (
+            <button onClick={onReset} className="text-sm" style={{ color: 'hsl(var(--color-primary))' }}>
+              Undo changes
+            </button>
+          )}
+          <button onClick={() => setIsOpen(!isOpen)} className="text-sm" style={{ color: 'hsl(var(--color-primary))' }}>
+            {isOpen ? 'Hide' : 'Show'}
+          </button>
+        </div>
+      </div>
+
+      {isOpen && (
+        <div className="space-y-4 max-h-96 overflow-y-auto">
+          {terms.map((term, termIndex) => (
+            <div key={`${term.label}-${termIndex}`}>
+              <p className="text-sm font-semibold mb-1">{term.label || 'Courses'}</p>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr style={{ color: 'hsl(var(--color-text-muted))' }}>
+                      <th className="text-left font-medium px-1 py-1">Code</th>
+                      <th className="text-left font-medium px-1 py-1">Course</th>
+                      <th className="text-left font-medium px-1 py-1">Units</th>
+                      <th className="text-left font-medium px-1 py-1">Grade</th>
+                      <th className="text-left font-medium px-1 py-1">Score</th>
+                      <th className="text-left font-medium px-1 py-1">Status</th>
+                      <th className="px-1 py-1"><span className="sr-only">Remove</span></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {term.courses.map(course => (
+                      <tr key={course.id} className={course.status && course.status !== 'completed' ? 'opacity-60' : ''}>
+                        <td className="px-1 py-1">
+                          <input
+                            value={course.code}
+                            onChange={(e) => onCourseChange?.(course.id, { code: e.target.value.toUpperCase() })}
+                            className="w-24 px-2 py-1 rounded border"
+                            style={inputStyle}
+                          />
+                        </td>
+                        <td className="px-1 py-1">
+                          <input
+                            value={course.title}
+                            onChange={(e) => onCourseChange?.(course.id, { title: e.target.value })}
+                            className="w-full min-w-40 px-2 py-1 rounded border"
+                            style={inputStyle}
+                          />
+                        </td>
+                        <td className="px-1 py-1">
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.5"
+                            value={course.units ?? ''}
+                            onChange={(e) => onCourseChange?.(course.id, { units: toNumber(e.target.value) })}
+                            className="w-16 px-2 py-1 rounded border"
+                            style={inputStyle}
+                          />
+                        </td>
+                        <td className="px-1 py-1">
+                          <input
+                            value={course.grade ?? ''}
+                            onChange={(e) => onCourseChange?.(course.id, { grade: e.target.value.trim().toUpperCase() || null })}
+                            className="w-16 px-2 py-1 rounded border"
+                            style={inputStyle}
+                          />
+                        </td>
+                        <td className="px-1 py-1">
+                          <input
+                            type="number"
+                            min="0"
+                            max="100"
+                            value={course.score ?? ''}
+                            onChange={(e) => onCourseChange?.(course.id, { score: toNumber(e.target.value) })}
+                            className="w-20 px-2 py-1 rounded border"
+                            style={inputStyle}
+                          />
+                        </td>
+                        <td className="px-1 py-1">
+                          <select
+                            value={course.status || 'completed'}
+                            onChange={(e) => onCourseChange?.(course.id, { status: e.target.value })}
+                            className="px-2 py-1 rounded border"
+                            style={inputStyle}
+                          >
+                            {COURSE_STATUSES.map(status => (
+                              <option key={status.value} value={status.value} title={status.description}>
+                                {status.name}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-1 py-1 text-right">
+                          <button
+                            onClick={() => onCourseRemove?.(course.id)}
+                            className="text-sm"
+                            style={{ color: 'hsl(var(--color-primary))' }}
+                            title="Remove course"
+                          >
+                            ✕
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <button
+                onClick={() => onCourseAdd?.(term.label)}
+                className="text-sm mt-1"
+                style={{ color: 'hsl(var(--color-primary))' }}
+              >
+                + Add course{term.label ? ` to ${term.label}` : ''}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import { computeGPA, getAvailableGradingScales, getGradingScale, formatConversions } from '../utils/grading-scales';
+
+export default function GPASummary({ parsedTranscript, detectedScale, selectedScale, onScaleChange }) {
+  if (!parsedTranscript) return null;
+
+  const scales = getAvailableGradingScales();
+  const gpa = computeGPA(parsedTranscript);
+
+  return (
+    <div className="w-full">
+      <label className="block mb-2 font-semibold">
+        Grade Point Average <span className="text-xs font-normal" style={{ color: 'hsl(var(--color-text-muted))' }}>(Computed locally)</span>
+      </label>
+      <select
+        value={selectedScale || ''}
+        onChange={(e) => onScaleChange?.(e.target.value)}
+        className="w-full px-4 py-2 rounded-lg border text-base"
+        style={{
+          backgroundColor: `hsl(var(--color-surface))`,
+          color: `hsl(var(--color-text))`,
+          borderColor: `hsl(var(--color-border))`,
+        }}
+      >
+        <option value="">Auto-detect ({getGradingScale(detectedScale).name})</option>
+        {scales.map((scale) => (
+          <option key={scale.value} value={scale.value}>
+            {scale.name} - {scale.description}
+          </option>
+        ))}
+      </select>
+
+      {gpa ? (
+        <div className="mt-3 space-y-2">
+          <table className="w-full text-sm">
+            <thead>
+              <tr style={{ color: 'hsl(var(--color-text-muted))' }}>
+                <th className="text-left font-medium py-1">Term</th>
+                <th className="text-right font-medium py-1">GPA</th>
+                <th className="text-right font-medium py-1">Units</th>
+              </tr>
+            </thead>
+            <tbody>
+              {gpa.terms.map((term, index) => (
+                <tr key={`${term.label}-${index}`} className="border-t" style={{ borderColor: 'hsl(var(--color-border))' }}>
+                  <td className="py-1">{term.label || 'Courses'}</td>
+                  <td className="py-1 text-right">{term.gpa}</td>
+                  <td className="py-1 text-right">{term.units}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="font-semibold">
+            CGPA: {gpa.cgpa} <span className="font-normal">on {getGradingScale(gpa.scale).name}</span>
+            {gpa.classification && ` - ${gpa.classification}`}
+          </p>
+          <p className="text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+            Equivalent to {formatConversions(gpa.conversions)}
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm mt-2" style={{ color: 'hsl(var(--color-text-muted))' }}>
+          No graded courses were found to compute a GPA.
+        </p>
+      )}
+    </div>
+  );
+}
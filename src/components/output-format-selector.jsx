@@ -0,0 +1,48 @@
+import { getAvailableOutputFormats } from '../utils/prompt-builder';
+
+export default function OutputFormatSelector({ selectedFormat, onFormatChange }) {
+  const formats = getAvailableOutputFormats();
+
+  return (
+    <div className="w-full">
+      <label className="block mb-2 font-semibold">
+        Analysis Format
+      </label>
+      <div className="flex flex-wrap gap-2">
+        {formats.map((format) => (
+          <button
+            key={format.value}
+            onClick={() => onFormatChange?.(format.value)}
+            className={`
+              px-4 py-2 rounded-lg text-sm font-medium transition-all
+              ${selectedFormat === format.value
+                ? 'ring-2 ring-offset-2'
+                : 'hover:opacity-80'
+              }
+            `}
+            style={{
+              backgroundColor: selectedFormat === format.value
+                ? `hsl(var(--color-primary))`
+                : `hsl(var(--color-surface))`,
+              color: selectedFormat === format.value
+                ? 'white'
+                : `hsl(var(--color-text))`,
+              ...(selectedFormat === format.value && {
+                '--tw-ring-color': `hsl(var(--color-primary))`,
+                '--tw-ring-offset-color': `hsl(var(--color-background))`,
+              }),
+            }}
+            title={format.description}
+          >
+            {format.name}
+          </button>
+        ))}
+      </div>
+      {selectedFormat && (
+        <p className="text-xs mt-2" style={{ color: 'hsl(var(--color-text-muted))' }}>
+          {formats.find(f => f.value === selectedFormat)?.description}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import { getAvailableProviders, getProvider } from '../services/llm-providers';
+import { getStoredProviderSettings, saveProviderSettings } from '../services/provider-settings';
+
+const inputStyle = {
+  backgroundColor: `hsl(var(--color-background))`,
+  color: `hsl(var(--color-text))`,
+  borderColor: `hsl(var(--color-border))`,
+};
+
+const FIELDS = [
+  { key: 'baseUrl', label: 'Base URL', type: 'url' },
+  { key: 'apiKey', label: 'API key', type: 'password' },
+  { key: 'model', label: 'Model', type: 'text' },
+];
+
+export default function ProviderSettingsPanel({ onClose }) {
+  const [settings, setSettings] = useState(getStoredProviderSettings);
+
+  const provider = getProvider(settings.provider) || getProvider('proxy');
+  const values = settings.providers[provider.id] || {};
+
+  const handleFieldChange = (key, value) => {
+    setSettings(prev => ({
+      ...prev,
+      providers: { ...prev.providers, [provider.id]: { ...values, [key]: value } },
+    }));
+  };
+
+  const handleSave = () => {
+    saveProviderSettings(settings);
+    onClose?.();
+  };
+
+  return (
+    <div
+      className="absolute right-0 top-full mt-2 w-80 p-4 rounded-lg border shadow-lg space-y-3 z-40"
+      style={{ backgroundColor: 'hsl(var(--color-surface))', borderColor: 'hsl(var(--color-border))' }}
+    >
+      <div>
+        <label htmlFor="provider-select" className="block mb-1 text-sm font-semibold">AI Provider</label>
+        <select
+          id="provider-select"
+          value={provider.id}
+          onChange={(e) => setSettings(prev => ({ ...prev, provider: e.target.value }))}
+          className="w-full px-3 py-2 rounded-lg border text-sm"
+          style={inputStyle}
+        >
+          {getAvailableProviders().map(option => (
+            <option key={option.value} value={option.value}>{option.name}</option>
+          ))}
+        </select>
+        <p className="text-xs mt-1" style={{ color: 'hsl(var(--color-text-muted))' }}>{provider.description}</p>
+      </div>
+
+      {provider.configurable && FIELDS.map(field => (
+        <div key={field.key}>
+          <label htmlFor={`provider-${field.key}`} className="block mb-1 text-sm">
+            {field.label}
+            {field.key === 'apiKey' && !provider.requiresApiKey && ' (optional)'}
+          </label>
+          <input
+            id={`provider-${field.key}`}
+            type={field.type}
+            value={values[field.key] || ''}
+            placeholder={field.key === 'apiKey' && provider.defaults.apiKey ? 'Using the configured key' : provider.defaults[field.key]}
+            onChange={(e) => handleFieldChange(field.key, e.target.value)}
+            autoComplete="off"
+            className="w-full px-3 py-2 rounded-lg border text-sm"
+            style={inputStyle}
+          />
+        </div>
+      ))}
+
+      {provider.configurable && (
+        <p className="text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+          Blank fields use the defaults shown. Settings, including API keys, are saved in this browser only.
+        </p>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button onClick={onClose} className="default secondary px-3 py-1 text-sm rounded-lg font-medium">
+          Cancel
+        </button>
+        <button onClick={handleSave} className="default primary px-3 py-1 text-sm rounded-lg font-medium">
+          Save
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { PII_TYPE_LABELS } from '../utils/pii-redactor';
+
+export default function RedactionPreview({ redactions = [], previewText, onToggle, onAdd }) {
+  const [newValue, setNewValue] = useState('');
+  const [showPreview, setShowPreview] = useState(false);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newValue.trim()) return;
+    onAdd?.(newValue);
+    setNewValue('');
+  };
+
+  return (
+    <div className="w-full">
+      <label className="block mb-2 font-semibold">
+        Privacy <span className="text-xs font-normal" style={{ color: 'hsl(var(--color-text-muted))' }}>(Hidden before sending)</span>
+      </label>
+
+      {redactions.length === 0 ? (
+        <p className="text-sm mb-2" style={{ color: 'hsl(var(--color-text-muted))' }}>
+          No personal details were detected. Add anything you would like to keep private below.
+        </p>
+      ) : (
+        <ul className="space-y-1 mb-2">
+          {redactions.map(redaction => (
+            <li key={redaction.id} className="flex items-center gap-2 text-sm">
+              <span className="shrink-0 font-mono text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+                {redaction.placeholder}
+              </span>
+              <span className={`flex-1 min-w-0 wrap-break-word ${redaction.enabled ? '' : 'line-through opacity-70'}`}>
+                {PII_TYPE_LABELS[redaction.type]}: {redaction.value}
+              </span>
+              <button
+                onClick={() => onToggle?.(redaction.id)}
+                className="text-sm shrink-0"
+                style={{ color: 'hsl(var(--color-primary))' }}
+              >
+                {redaction.enabled ? 'Un-redact' : 'Redact'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          type="text"
+          value={newValue}
+          onChange={(e) => setNewValue(e.target.value)}
+          placeholder="Add text to redact, e.g. a middle name"
+          className="flex-1 min-w-0 px-4 py-2 rounded-lg border text-base"
+          style={{
+            backgroundColor: `hsl(var(--color-surface))`,
+            color: `hsl(var(--color-text))`,
+            borderColor: `hsl(var(--color-border))`,
+          }}
+        />
+        <button
+          type="submit"
+          disabled={!newValue.trim()}
+          className="default secondary px-4 py-2 rounded-lg font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Redact
+        </button>
+      </form>
+
+      {previewText && (
+        <div className="mt-2">
+          <button
+            onClick={() => setShowPreview(!showPreview)}
+            className="text-sm"
+            style={{ color: 'hsl(var(--color-primary))' }}
+          >
+            {showPreview ? 'Hide what will be sent' : 'Preview what will be sent'}
+          </button>
+          {showPreview && (
+            <pre
+              className="mt-2 p-3 rounded-lg border text-xs whitespace-pre-wrap wrap-break-word max-h-64 overflow-y-auto"
+              style={{ borderColor: 'hsl(var(--color-border))' }}
+            >
+              {previewText}
+            </pre>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
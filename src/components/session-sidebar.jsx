@@ -0,0 +1,193 @@
+import { useState, useRef } from 'react';
+import { Icon } from '@iconify/react';
+
+const inputStyle = {
+  backgroundColor: `hsl(var(--color-background))`,
+  color: `hsl(var(--color-text))`,
+  borderColor: `hsl(var(--color-border))`,
+};
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function downloadFile(fileName, contents) {
+  const url = URL.createObjectURL(new Blob([contents], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Export of the open analysis and import of an exported one
+function TransferControls({ canExport, onExport, onImport }) {
+  const [stripPII, setStripPII] = useState(true);
+  const fileInputRef = useRef(null);
+
+  const handleExport = () => {
+    const { fileName, json } = onExport({ stripPII });
+    downloadFile(fileName, json);
+  };
+
+  const handleFileSelect = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="space-y-2 pt-2 border-t" style={{ borderColor: 'hsl(var(--color-border))' }}>
+      <label className="flex items-center gap-2 text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+        <input type="checkbox" checked={stripPII} onChange={(e) => setStripPII(e.target.checked)} />
+        Remove personal details from the export
+      </label>
+      <div className="flex gap-2">
+        <button
+          onClick={handleExport}
+          disabled={!canExport}
+          className="flex-1 px-3 py-1.5 rounded-lg border text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{ borderColor: 'hsl(var(--color-border))' }}
+        >
+          Export current
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="flex-1 px-3 py-1.5 rounded-lg border text-sm"
+          style={{ borderColor: 'hsl(var(--color-border))' }}
+        >
+          Import
+        </button>
+      </div>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFileSelect}
+        className="hidden"
+      />
+    </div>
+  );
+}
+
+function SessionItem({ session, isActive, onResume, onRename, onDelete }) {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [title, setTitle] = useState(session.title);
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+
+  const handleRenameSubmit = (e) => {
+    e.preventDefault();
+    onRename(session.id, title);
+    setIsRenaming(false);
+  };
+
+  const files = (session.transcripts || []).map(t => t.fileName).join(', ');
+
+  return (
+    <li
+      className="px-3 py-2 rounded-lg border space-y-1"
+      style={{
+        borderColor: isActive ? 'hsl(var(--color-primary))' : 'hsl(var(--color-border))',
+        backgroundColor: isActive ? 'hsl(var(--color-background))' : 'transparent',
+      }}
+    >
+      {isRenaming ? (
+        <form onSubmit={handleRenameSubmit} className="flex gap-2">
+          <input
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            aria-label="Session name"
+            autoFocus
+            className="flex-1 min-w-0 px-2 py-1 rounded border text-sm"
+            style={inputStyle}
+          />
+          <button type="submit" className="text-sm" style={{ color: 'hsl(var(--color-primary))' }}>Save</button>
+          <button type="button" onClick={() => { setTitle(session.title); setIsRenaming(false); }} className="text-sm">
+            Cancel
+          </button>
+        </form>
+      ) : (
+        <button onClick={() => onResume(session.id)} className="block w-full text-left font-semibold text-sm wrap-break-word">
+          {session.title}
+        </button>
+      )}
+
+      <p className="text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+        {formatDate(session.updatedAt)} · {session.messages.length} message{session.messages.length === 1 ? '' : 's'}
+      </p>
+      {files && (
+        <p className="text-xs wrap-break-word" style={{ color: 'hsl(var(--color-text-muted))' }}>{files}</p>
+      )}
+
+      {!isRenaming && (
+        <div className="flex gap-3 text-xs">
+          <button onClick={() => setIsRenaming(true)} style={{ color: 'hsl(var(--color-primary))' }}>
+            Rename
+          </button>
+          {isConfirmingDelete ? (
+            <>
+              <button onClick={() => onDelete(session.id)} style={{ color: 'hsl(var(--color-primary))' }}>
+                Confirm delete
+              </button>
+              <button onClick={() => setIsConfirmingDelete(false)}>Cancel</button>
+            </>
+          ) : (
+            <button onClick={() => setIsConfirmingDelete(true)} style={{ color: 'hsl(var(--color-primary))' }}>
+              Delete
+            </button>
+          )}
+        </div>
+      )}
+    </li>
+  );
+}
+
+export default function SessionSidebar({ sessions, activeSessionId, canExport, onResume, onRename, onDelete, onNew, onExport, onImport, onClose, children }) {
+  return (
+    <div className="fixed inset-0 z-40 flex" role="dialog" aria-label="Saved analyses">
+      <aside
+        className="w-80 max-w-full h-full overflow-y-auto p-4 space-y-4 border-r shadow-lg"
+        style={{ backgroundColor: 'hsl(var(--color-surface))', borderColor: 'hsl(var(--color-border))', color: 'hsl(var(--color-text))' }}
+      >
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-bold">Saved analyses</h2>
+          <button onClick={onClose} className="p-1 rounded-lg" title="Close">
+            <Icon icon="mdi:close" className="w-5 h-5" style={{ color: 'hsl(var(--color-text-muted))' }} />
+          </button>
+        </div>
+
+        <button onClick={onNew} className="default primary w-full px-4 py-2 rounded-lg text-sm font-medium">
+          New analysis
+        </button>
+
+        <TransferControls canExport={canExport} onExport={onExport} onImport={onImport} />
+
+        {sessions.length === 0 ? (
+          <p className="text-sm" style={{ color: 'hsl(var(--color-text-muted))' }}>
+            Analyses are saved here automatically once you get a response.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {sessions.map(session => (
+              <SessionItem
+                key={session.id}
+                session={session}
+                isActive={session.id === activeSessionId}
+                onResume={onResume}
+                onRename={onRename}
+                onDelete={onDelete}
+              />
+            ))}
+          </ul>
+        )}
+
+        {children}
+
+        <p className="text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+          Saved in this browser only. Transcript files are not kept; upload them again to start a new analysis.
+        </p>
+      </aside>
+      <div className="flex-1" style={{ backgroundColor: 'rgba(0, 0, 0, 0.3)' }} onClick={onClose} />
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+// Same colours as the Strength column in markdown-rendered tables
+const STRENGTH_HUES = {
+  Strong: '142, 71%, 45%',
+  Average: '38, 92%, 50%',
+  Weak: '0, 84%, 60%',
+};
+
+const borderStyle = { borderColor: 'hsl(var(--color-border))' };
+
+function Section({ title, children }) {
+  return (
+    <section className="space-y-2">
+      <h3 className="text-lg font-semibold">{title}</h3>
+      {children}
+    </section>
+  );
+}
+
+function CourseTable({ courses }) {
+  if (courses.length === 0) {
+    return <p className="text-sm" style={{ color: 'hsl(var(--color-text-muted))' }}>No courses were listed.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr style={{ color: 'hsl(var(--color-text-muted))' }}>
+            <th className="text-left font-medium py-1 pr-2">Course</th>
+            <th className="text-left font-medium py-1 pr-2">Grade</th>
+            <th className="text-left font-medium py-1 pr-2">Masters Field</th>
+            <th className="text-left font-medium py-1">Strength</th>
+          </tr>
+        </thead>
+        <tbody>
+          {courses.map((course, index) => (
+            <tr key={`${course.code}-${index}`} className="border-t" style={borderStyle}>
+              <td className="py-1 pr-2">
+                <span className="font-medium">{course.code}</span>
+                {course.title !== course.code && ` ${course.title}`}
+              </td>
+              <td className="py-1 pr-2">{course.grade ?? '-'}</td>
+              <td className="py-1 pr-2">{course.field}</td>
+              <td className="py-1">
+                <span
+                  className="inline-block px-3 py-1 rounded-md text-xs font-semibold"
+                  style={{
+                    backgroundColor: `hsl(${STRENGTH_HUES[course.strength]}, 0.1)`,
+                    color: `hsl(${STRENGTH_HUES[course.strength]})`,
+                  }}
+                >
+                  {course.strength}
+                </span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function PointList({ items, labelKey, textKey }) {
+  return (
+    <ul className="space-y-1 list-disc pl-5">
+      {items.map((item, index) => (
+        <li key={index}>
+          <span className="font-medium">{item[labelKey]}</span> - {item[textKey]}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function UniversityList({ universities }) {
+  const withScholarship = universities.filter(u => u.scholarship);
+  const withoutScholarship = universities.filter(u => !u.scholarship);
+
+  const renderGroup = (title, group) => group.length > 0 && (
+    <div>
+      <p className="text-sm font-semibold mb-1">{title}</p>
+      <ul className="space-y-1 list-disc pl-5">
+        {group.map((university, index) => (
+          <li key={index}>
+            <span className="font-medium">{university.name}</span> ({university.program})
+            {university.scholarship && ` - ${university.scholarship}`}: {university.rationale}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  return (
+    <div className="space-y-2">
+      {renderGroup('With scholarship opportunities', withScholarship)}
+      {renderGroup('Without scholarship requirements', withoutScholarship)}
+    </div>
+  );
+}
+
+export default function StructuredAnalysis({ analysis }) {
+  return (
+    <div className="space-y-5">
+      <Section title="Summary">
+        <p>{analysis.summary}</p>
+        {analysis.gpa?.value != null && (
+          <p className="font-semibold">
+            GPA: {analysis.gpa.value}
+            {analysis.gpa.scale && <span className="font-normal"> on {analysis.gpa.scale}</span>}
+            {analysis.gpa.classification && ` - ${analysis.gpa.classification}`}
+          </p>
+        )}
+      </Section>
+
+      <Section title="Courses">
+        <CourseTable courses={analysis.courses} />
+      </Section>
+
+      <div className="grid gap-5 md:grid-cols-2">
+        <Section title="Strengths">
+          <PointList items={analysis.strengths} labelKey="area" textKey="reason" />
+        </Section>
+        <Section title="Weaknesses">
+          <PointList items={analysis.weaknesses} labelKey="area" textKey="reason" />
+        </Section>
+      </div>
+
+      <Section title="Career Paths">
+        <PointList items={analysis.careers} labelKey="title" textKey="rationale" />
+      </Section>
+
+      {analysis.universities.length > 0 && (
+        <Section title="Universities">
+          <UniversityList universities={analysis.universities} />
+        </Section>
+      )}
+
+      {analysis.resources.length > 0 && (
+        <Section title="Resources">
+          <PointList items={analysis.resources} labelKey="name" textKey="reason" />
+        </Section>
+      )}
+
+      <Section title="Next Steps">
+        <ol className="space-y-1 list-decimal pl-5">
+          {analysis.nextSteps.map((step, index) => <li key={index}>{step}</li>)}
+        </ol>
+      </Section>
+
+      <Section title="Conclusion">
+        <p>{analysis.conclusion}</p>
+      </Section>
+    </div>
+  );
+}
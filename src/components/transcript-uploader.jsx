@@ -1,11 +1,78 @@
 import { useState, useRef } from 'react';
-import { extractTextFromPDF, isValidPDF } from '../services/pdf-reader';
+import { isSupportedFile, getAcceptedFileTypes, getSupportedFormatsLabel } from '../services/file-readers';
+import { extractInWorker, isCancelledError } from '../services/transcript-pipeline';
+import { hashFile, getCachedExtraction, cacheExtraction, clearTranscriptCache } from '../services/transcript-cache';
+import { isPasswordError, PDF_ERROR_CODES } from '../services/pdf-reader';
+import { getInstitutionLabel } from '../utils/transcript-merger';
+import { parseTranscript } from '../utils/transcript-parser';
+import { formatPipelineProgress, getProgressFraction } from '../utils/pipeline-progress';
 
-export default function TranscriptUploader({ onTranscriptExtracted, onError, isProcessing, processingStage, uploadedFileName }) {
+// Below this average OCR confidence the user is warned that text may be misread
+const LOW_OCR_CONFIDENCE = 70;
+
+function ProgressBar({ progress }) {
+  const fraction = getProgressFraction(progress);
+  if (fraction === null) return null;
+
+  return (
+    <div className="w-full h-1.5 rounded-full overflow-hidden" style={{ backgroundColor: 'hsl(var(--color-border))' }}>
+      <div
+        className="h-full transition-all duration-200"
+        style={{ width: `${Math.round(fraction * 100)}%`, backgroundColor: 'hsl(var(--color-primary))' }}
+      />
+    </div>
+  );
+}
+
+// Asks for the password of a protected PDF; the value only lives in this component until submitted
+function PasswordPrompt({ isIncorrect, onSubmit }) {
+  const [password, setPassword] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!password) return;
+    onSubmit(password);
+    setPassword('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <p className="text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+        {isIncorrect ? 'Incorrect password. Please try again.' : 'This PDF is password-protected. Enter its password to open it.'}
+      </p>
+      <div className="flex gap-2">
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="off"
+          autoFocus
+          placeholder="PDF password"
+          className="flex-1 min-w-0 px-3 py-1.5 rounded-lg border text-sm"
+          style={{
+            backgroundColor: 'hsl(var(--color-surface))',
+            borderColor: 'hsl(var(--color-border))',
+            color: 'hsl(var(--color-text))',
+          }}
+        />
+        <button type="submit" disabled={!password} className="default primary px-4 py-1.5 rounded-lg text-sm disabled:opacity-50 disabled:cursor-not-allowed">
+          Unlock
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function TranscriptUploader({ onTranscriptsExtracted, onTranscriptRemoved, onError, isProcessing, processingStage, processingProgress, transcripts = [] }) {
   const [isDragging, setIsDragging] = useState(false);
-  const [isLocalProcessing, setIsLocalProcessing] = useState(false);
-  const [uploadedFile, setUploadedFile] = useState(null);
+  const [pendingFiles, setPendingFiles] = useState([]); // Files being extracted: [{ id, name, status, progress }]
+  const [cacheStatus, setCacheStatus] = useState(''); // '', 'clearing' or 'cleared'
   const fileInputRef = useRef(null);
+  const controllersRef = useRef(new Map()); // Pending file id -> AbortController
+  const passwordRequestsRef = useRef(new Map()); // Pending file id -> resolves with the entered password, or null
+
+  const isLocalProcessing = pendingFiles.length > 0;
+  const isBusy = isLocalProcessing || isProcessing;
 
   const handleDragEnter = (e) => {
     e.preventDefault();
@@ -29,135 +96,178 @@ export default function TranscriptUploader({ onTranscriptExtracted, onError, isP
     e.stopPropagation();
     setIsDragging(false);
 
+    if (isBusy) return;
+
     const files = e.dataTransfer.files;
     if (files.length > 0) {
-      await processFile(files[0]);
+      await processFiles(files);
     }
   };
 
   const handleFileSelect = async (e) => {
     const files = e.target.files;
     if (files.length > 0) {
-      await processFile(files[0]);
+      await processFiles(files);
     }
+    // Allow the same file to be selected again after removing it
+    e.target.value = '';
   };
 
-  const processFile = async (file) => {
-    if (!isValidPDF(file)) {
-      onError?.('Please upload a valid PDF file.');
-      return;
-    }
+  const processFiles = async (fileList) => {
+    const files = Array.from(fileList);
+    const valid = files.filter(isSupportedFile);
+    const failures = files
+      .filter(file => !valid.includes(file))
+      .map(file => `${file.name}: Unsupported file type. Supported formats: ${getSupportedFormatsLabel()}.`);
 
-    setIsLocalProcessing(true);
-    setUploadedFile(file);
+    const entries = [];
+    const queue = valid.map(file => ({ id: crypto.randomUUID(), file, controller: new AbortController() }));
+    const updatePending = (id, changes) => {
+      setPendingFiles(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+    };
+    const requestPassword = (id) => new Promise(resolve => passwordRequestsRef.current.set(id, resolve));
 
-    try {
-      const extractedText = await extractTextFromPDF(file);
-      onTranscriptExtracted?.(extractedText, file.name);
-    } catch (error) {
-      onError?.(error.message || 'Failed to extract text from PDF.');
-      setUploadedFile(null);
-    } finally {
-      setIsLocalProcessing(false);
+    queue.forEach(({ id, controller }) => controllersRef.current.set(id, controller));
+    setPendingFiles(queue.map(({ id, file }) => ({ id, name: file.name, status: 'queued', progress: null })));
+
+    // Files are extracted one at a time so OCR does not compete for the CPU
+    for (const { id, file, controller } of queue) {
+      if (controller.signal.aborted) continue;
+
+      updatePending(id, { status: 'processing' });
+      let password = null;
+
+      try {
+        // A file uploaded before is not extracted again; it is parsed again so its courses get new ids
+        const fileHash = await hashFile(file);
+        const cached = await getCachedExtraction(fileHash);
+        if (cached) {
+          entries.push({ text: cached.text, fileName: file.name, parsed: parseTranscript(cached.text), info: { pageCount: cached.pageCount, ocr: cached.ocr, cached: true } });
+          continue;
+        }
+
+        for (;;) {
+          try {
+            const result = await extractInWorker(file, {
+              onProgress: (progress) => updatePending(id, { progress }),
+              signal: controller.signal,
+              password,
+            });
+            const parsed = parseTranscript(result.text);
+            entries.push({ text: result.text, fileName: file.name, parsed, info: { pageCount: result.pageCount, ocr: result.ocr } });
+            // Text of password-protected files is not stored
+            if (!password) {
+              await cacheExtraction(fileHash, { text: result.text, pageCount: result.pageCount, ocr: result.ocr, format: result.format });
+            }
+            break;
+          } catch (error) {
+            if (!isPasswordError(error)) throw error;
+
+            // Wait for the user to enter a password (or remove the file), then retry
+            updatePending(id, { status: 'password', progress: null, isPasswordIncorrect: error.code === PDF_ERROR_CODES.PASSWORD_INCORRECT });
+            password = await requestPassword(id);
+            if (password === null) break;
+            updatePending(id, { status: 'processing' });
+          }
+        }
+      } catch (error) {
+        if (!isCancelledError(error)) {
+          failures.push(`${file.name}: ${error.message || 'Failed to extract text from file.'}`);
+        }
+      } finally {
+        password = null;
+        passwordRequestsRef.current.delete(id);
+        controllersRef.current.delete(id);
+        setPendingFiles(prev => prev.filter(item => item.id !== id));
+      }
     }
-  };
 
-  const handleRemoveFile = () => {
-    setUploadedFile(null);
-    if (fileInputRef.current) {
-      fileInputRef.current.value = '';
+    if (entries.length > 0) {
+      onTranscriptsExtracted?.(entries);
+    }
+    if (failures.length > 0) {
+      onError?.(failures.join('\n'));
     }
-    onTranscriptExtracted?.('', '');
+  };
+
+  // Cancels a file that is still queued or being extracted
+  const handleCancelPending = (id) => {
+    controllersRef.current.get(id)?.abort();
+    controllersRef.current.delete(id);
+    passwordRequestsRef.current.get(id)?.(null);
+    passwordRequestsRef.current.delete(id);
+    setPendingFiles(prev => prev.filter(item => item.id !== id));
   };
 
   const handleClick = () => {
     fileInputRef.current?.click();
   };
 
+  const handleClearCache = async () => {
+    setCacheStatus('clearing');
+    try {
+      await clearTranscriptCache();
+      setCacheStatus('cleared');
+    } catch (error) {
+      setCacheStatus('');
+      onError?.(`Could not clear cached data: ${error.message}`);
+    }
+  };
+
   return (
-    <div className="w-full">
+    <div className="w-full space-y-3">
       <div
         className={`
           border-2 border-dashed rounded-lg p-8 text-center cursor-pointer
           transition-all duration-200
-          ${isDragging 
-            ? 'border-primary bg-surface' 
+          ${isDragging
+            ? 'border-primary bg-surface'
             : 'border-border hover:border-primary'
           }
-          ${(isLocalProcessing || isProcessing) ? 'opacity-50 cursor-not-allowed' : ''}
+          ${isBusy ? 'opacity-50 cursor-not-allowed' : ''}
         `}
         style={{
-          borderColor: isDragging 
-            ? `hsl(var(--color-primary))` 
+          borderColor: isDragging
+            ? `hsl(var(--color-primary))`
             : `hsl(var(--color-border))`,
-          backgroundColor: isDragging 
-            ? `hsl(var(--color-surface))` 
+          backgroundColor: isDragging
+            ? `hsl(var(--color-surface))`
             : 'transparent',
         }}
         onDragEnter={handleDragEnter}
         onDragOver={handleDragOver}
         onDragLeave={handleDragLeave}
         onDrop={handleDrop}
-        onClick={!(isLocalProcessing || isProcessing) ? handleClick : undefined}
+        onClick={!isBusy ? handleClick : undefined}
       >
         <input
           ref={fileInputRef}
           type="file"
-          accept=".pdf,application/pdf"
+          accept={getAcceptedFileTypes()}
+          multiple
           onChange={handleFileSelect}
           className="hidden"
-          disabled={isLocalProcessing || isProcessing}
+          disabled={isBusy}
         />
 
-        {(isLocalProcessing || isProcessing) ? (
+        {isBusy ? (
           <div className="flex flex-col items-center gap-2">
             <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
             <p style={{ color: 'hsl(var(--color-text-muted))' }}>
-              {isLocalProcessing 
-                ? 'Extracting text from PDF...' 
+              {pendingFiles.some(item => item.status === 'password')
+                ? 'Waiting for a PDF password...'
+                : isLocalProcessing
+                ? `Extracting ${pendingFiles.length} file${pendingFiles.length === 1 ? '' : 's'}...`
                 : processingStage === 'summarizing'
-                ? 'Analyzing and summarizing transcript...'
+                ? formatPipelineProgress(processingProgress)
                 : 'Processing...'}
             </p>
-            {processingStage === 'summarizing' && (
+            {!isLocalProcessing && processingStage === 'summarizing' && (
               <p className="text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
                 This may take a moment
               </p>
             )}
           </div>
-        ) : (uploadedFile || uploadedFileName) ? (
-          <div className="flex flex-col items-center gap-2">
-            <svg
-              className="w-12 h-12"
-              style={{ color: 'hsl(var(--color-primary))' }}
-              fill="none"
-              stroke="currentColor"
-              viewBox="0 0 24 24"
-            >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
-              />
-            </svg>
-            <p className="font-semibold">{uploadedFile?.name || uploadedFileName}</p>
-            {processingStage === 'ready' && (
-              <p className="text-xs mt-1" style={{ color: 'hsl(var(--color-primary))' }}>
-                ✓ Ready to analyze
-              </p>
-            )}
-            <button
-              onClick={(e) => {
-                e.stopPropagation();
-                handleRemoveFile();
-              }}
-              className="text-sm mt-2"
-              style={{ color: 'hsl(var(--color-primary))' }}
-            >
-              Remove file
-            </button>
-          </div>
         ) : (
           <div className="flex flex-col items-center gap-2">
             <svg
@@ -174,17 +284,132 @@ export default function TranscriptUploader({ onTranscriptExtracted, onError, isP
                 d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"
               />
             </svg>
-            <p className="font-semibold">Drop your transcript PDF here</p>
+            <p className="font-semibold">
+              {transcripts.length > 0 ? 'Drop another transcript to add it' : 'Drop your transcripts here'}
+            </p>
             <p className="text-sm" style={{ color: 'hsl(var(--color-text-muted))' }}>
               or click to browse
             </p>
             <p className="text-xs mt-2" style={{ color: 'hsl(var(--color-text-muted))' }}>
-              Supports both text-based and image-based PDFs
+              Supports {getSupportedFormatsLabel()}, including scanned PDFs. Add one file per institution to combine them into a single profile.
             </p>
           </div>
         )}
       </div>
+
+      {transcripts.length > 0 && (
+        <ul className="space-y-2">
+          {transcripts.map((transcript, index) => (
+            <li
+              key={transcript.id}
+              className="flex items-start gap-3 px-4 py-3 rounded-lg border"
+              style={{ borderColor: 'hsl(var(--color-border))' }}
+            >
+              <svg
+                className="w-6 h-6 shrink-0 mt-0.5"
+                style={{ color: 'hsl(var(--color-primary))' }}
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
+                />
+              </svg>
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold wrap-break-word">
+                  {transcripts.length > 1 && `${getInstitutionLabel(index)}: `}
+                  {transcript.fileName}
+                </p>
+                {transcript.parsed?.institution && (
+                  <p className="text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+                    {transcript.parsed.institution}
+                  </p>
+                )}
+                {transcript.extractionInfo?.cached && (
+                  <p className="text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+                    Loaded from cache
+                  </p>
+                )}
+                {transcript.extractionInfo?.ocr && (
+                  <p className="text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+                    {transcript.extractionInfo.ocr.pages.length} scanned page{transcript.extractionInfo.ocr.pages.length === 1 ? '' : 's'} read with OCR
+                    {' '}({transcript.extractionInfo.ocr.confidence}% confidence)
+                  </p>
+                )}
+                {transcript.extractionInfo?.ocr && transcript.extractionInfo.ocr.confidence < LOW_OCR_CONFIDENCE && (
+                  <p className="text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+                    Some text may be misread. Add any missing grades in Additional Context.
+                  </p>
+                )}
+              </div>
+              <button
+                onClick={() => onTranscriptRemoved?.(transcript.id)}
+                disabled={isLocalProcessing}
+                className="text-sm shrink-0 disabled:opacity-50 disabled:cursor-not-allowed"
+                style={{ color: 'hsl(var(--color-primary))' }}
+              >
+                Remove file
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pendingFiles.length > 0 && (
+        <ul className="space-y-2">
+          {pendingFiles.map(item => (
+            <li
+              key={item.id}
+              className="flex items-center gap-3 px-4 py-3 rounded-lg border"
+              style={{ borderColor: 'hsl(var(--color-border))' }}
+            >
+              <div className="flex-1 min-w-0 space-y-1">
+                <p className="font-semibold wrap-break-word">{item.name}</p>
+                {item.status === 'password' ? (
+                  <PasswordPrompt
+                    isIncorrect={item.isPasswordIncorrect}
+                    onSubmit={(password) => passwordRequestsRef.current.get(item.id)?.(password)}
+                  />
+                ) : (
+                  <p className="text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+                    {item.status === 'queued' ? 'Waiting...' : formatPipelineProgress(item.progress)}
+                  </p>
+                )}
+                {item.status === 'processing' && <ProgressBar progress={item.progress} />}
+              </div>
+              <button
+                onClick={() => handleCancelPending(item.id)}
+                className="text-sm shrink-0"
+                style={{ color: 'hsl(var(--color-primary))' }}
+              >
+                Remove file
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {transcripts.length > 0 && processingStage === 'ready' && !isBusy && (
+        <p className="text-xs" style={{ color: 'hsl(var(--color-primary))' }}>
+          ✓ Ready to analyze{transcripts.length > 1 ? ` (${transcripts.length} transcripts combined)` : ''}
+        </p>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleClearCache}
+          disabled={isBusy || cacheStatus === 'clearing'}
+          className="text-xs disabled:opacity-50 disabled:cursor-not-allowed"
+          style={{ color: 'hsl(var(--color-text-muted))' }}
+          title="Removes extracted text and summaries of previously uploaded files from this browser"
+        >
+          {cacheStatus === 'cleared' ? 'Cached data cleared' : 'Clear cached data'}
+        </button>
+      </div>
     </div>
   );
 }
-
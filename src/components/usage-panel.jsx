@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import { getModelInfo } from '../utils/model-info';
+
+function formatTokens(count) {
+  return count.toLocaleString();
+}
+
+function formatCost(cost) {
+  if (cost === 0) return '$0.00';
+  return cost < 0.01 ? `<$0.01` : `$${cost.toFixed(2)}`;
+}
+
+export default function UsagePanel({ usage, onReset }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (!usage || usage.requests === 0) return null;
+
+  const { last } = usage;
+  const contextShare = last ? Math.round((last.promptTokens / last.contextWindow) * 100) : 0;
+
+  return (
+    <div className="w-full text-sm" style={{ color: 'hsl(var(--color-text-muted))' }}>
+      <div className="flex items-center justify-between gap-3">
+        <p>
+          Session: {formatTokens(usage.promptTokens + usage.completionTokens)} tokens
+          {' · '}~{formatCost(usage.cost)}{usage.hasUnknownCost && ' + unpriced models'}
+          {last && ` · Last request used ${contextShare}% of the context window`}
+        </p>
+        <div className="flex gap-3 shrink-0">
+          <button onClick={onReset} style={{ color: 'hsl(var(--color-primary))' }}>
+            Reset
+          </button>
+          <button onClick={() => setIsOpen(!isOpen)} style={{ color: 'hsl(var(--color-primary))' }}>
+            {isOpen ? 'Hide usage' : 'Show usage'}
+          </button>
+        </div>
+      </div>
+
+      {isOpen && (
+        <div className="mt-2 space-y-2">
+          <table className="w-full">
+            <thead>
+              <tr>
+                <th className="text-left font-medium py-1">Model</th>
+                <th className="text-right font-medium py-1">Requests</th>
+                <th className="text-right font-medium py-1">Prompt</th>
+                <th className="text-right font-medium py-1">Completion</th>
+                <th className="text-right font-medium py-1">Est. cost</th>
+              </tr>
+            </thead>
+            <tbody style={{ color: 'hsl(var(--color-text))' }}>
+              {usage.byModel.map(row => (
+                <tr key={row.model} className="border-t" style={{ borderColor: 'hsl(var(--color-border))' }}>
+                  <td className="py-1">{getModelInfo(row.model).name}</td>
+                  <td className="py-1 text-right">{row.requests}</td>
+                  <td className="py-1 text-right">{formatTokens(row.promptTokens)}</td>
+                  <td className="py-1 text-right">{formatTokens(row.completionTokens)}</td>
+                  <td className="py-1 text-right">{formatCost(row.cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {last && (
+            <p>
+              Last request ({last.purpose}): {formatTokens(last.promptTokens)} prompt + {formatTokens(last.completionTokens)} completion tokens
+              of a {formatTokens(last.contextWindow)}-token context window
+              {last.trimmedMessages > 0 && `; ${last.trimmedMessages} older message${last.trimmedMessages > 1 ? 's were' : ' was'} left out to fit`}.
+            </p>
+          )}
+          <p className="text-xs">
+            Costs use list prices and are estimates.
+            {usage.hasEstimates && ' Requests the provider did not report (such as stopped responses) are counted with a local token estimate.'}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { Icon } from '@iconify/react';
+
+const inputStyle = {
+  backgroundColor: `hsl(var(--color-background))`,
+  color: `hsl(var(--color-text))`,
+  borderColor: `hsl(var(--color-border))`,
+};
+
+// Covers the app while the vault is locked; the passphrase only lives here until submitted
+export default function VaultLockScreen({ onUnlock, onWipe }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [isConfirmingWipe, setIsConfirmingWipe] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passphrase || isUnlocking) return;
+
+    setIsUnlocking(true);
+    setError(null);
+    try {
+      await onUnlock(passphrase);
+    } catch (err) {
+      setError(err.message);
+      setIsUnlocking(false);
+    }
+    setPassphrase('');
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4"
+      style={{ backgroundColor: 'hsl(var(--color-background))', color: 'hsl(var(--color-text))' }}
+      role="dialog"
+      aria-label="Unlock saved data"
+    >
+      <div
+        className="w-full max-w-sm p-6 rounded-lg border space-y-4"
+        style={{ backgroundColor: 'hsl(var(--color-surface))', borderColor: 'hsl(var(--color-border))' }}
+      >
+        <div className="flex items-center gap-2">
+          <Icon icon="mdi:lock" className="w-6 h-6" style={{ color: 'hsl(var(--color-primary))' }} />
+          <h2 className="text-lg font-bold">Saved data is locked</h2>
+        </div>
+        <p className="text-sm" style={{ color: 'hsl(var(--color-text-muted))' }}>
+          Enter your passphrase to open your saved analyses.
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            autoComplete="current-password"
+            autoFocus
+            placeholder="Passphrase"
+            aria-label="Passphrase"
+            className="w-full px-3 py-2 rounded-lg border text-sm"
+            style={inputStyle}
+          />
+          {error && (
+            <p className="p-2 rounded-lg text-sm" style={{ backgroundColor: 'hsl(var(--color-accent))' }}>{error}</p>
+          )}
+          <button
+            type="submit"
+            disabled={!passphrase || isUnlocking}
+            className="default primary w-full px-4 py-2 rounded-lg text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isUnlocking ? 'Unlocking...' : 'Unlock'}
+          </button>
+        </form>
+
+        <div className="pt-2 border-t text-xs space-y-2" style={{ borderColor: 'hsl(var(--color-border))', color: 'hsl(var(--color-text-muted))' }}>
+          {isConfirmingWipe ? (
+            <>
+              <p>Without the passphrase your saved data cannot be recovered. Erase all saved analyses, cached transcripts and this conversation?</p>
+              <div className="flex gap-3">
+                <button onClick={onWipe} style={{ color: 'hsl(var(--color-primary))' }}>Erase everything</button>
+                <button onClick={() => setIsConfirmingWipe(false)}>Cancel</button>
+              </div>
+            </>
+          ) : (
+            <button onClick={() => setIsConfirmingWipe(true)} style={{ color: 'hsl(var(--color-primary))' }}>
+              Forgot your passphrase?
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import { useState } from 'react';
+import { AUTO_LOCK_OPTIONS, MIN_PASSPHRASE_LENGTH } from '../services/vault';
+
+const inputStyle = {
+  backgroundColor: `hsl(var(--color-background))`,
+  color: `hsl(var(--color-text))`,
+  borderColor: `hsl(var(--color-border))`,
+};
+
+function AutoLockSelect({ value, onChange }) {
+  return (
+    <label className="flex items-center justify-between gap-2 text-xs">
+      Lock after inactivity
+      <select
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="px-2 py-1 rounded border text-xs"
+        style={inputStyle}
+      >
+        {AUTO_LOCK_OPTIONS.map(minutes => (
+          <option key={minutes} value={minutes}>{minutes} minutes</option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+function EnableVaultForm({ onEnable, onCancel }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [autoLockMinutes, setAutoLockMinutes] = useState(AUTO_LOCK_OPTIONS[1]);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (passphrase !== confirmation) {
+      setError('The passphrases do not match.');
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      await onEnable(passphrase, autoLockMinutes);
+    } catch (err) {
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <input
+        type="password"
+        value={passphrase}
+        onChange={(e) => setPassphrase(e.target.value)}
+        autoComplete="new-password"
+        placeholder={`Passphrase (at least ${MIN_PASSPHRASE_LENGTH} characters)`}
+        aria-label="Passphrase"
+        className="w-full px-2 py-1.5 rounded border text-sm"
+        style={inputStyle}
+      />
+      <input
+        type="password"
+        value={confirmation}
+        onChange={(e) => setConfirmation(e.target.value)}
+        autoComplete="new-password"
+        placeholder="Repeat passphrase"
+        aria-label="Repeat passphrase"
+        className="w-full px-2 py-1.5 rounded border text-sm"
+        style={inputStyle}
+      />
+      <AutoLockSelect value={autoLockMinutes} onChange={setAutoLockMinutes} />
+      <p className="text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+        There is no way to recover a forgotten passphrase; saved data can only be erased.
+      </p>
+      {error && <p className="p-2 rounded-lg text-xs" style={{ backgroundColor: 'hsl(var(--color-accent))' }}>{error}</p>}
+      <div className="flex gap-3 text-sm">
+        <button type="submit" disabled={!passphrase || isSaving} className="disabled:opacity-50" style={{ color: 'hsl(var(--color-primary))' }}>
+          {isSaving ? 'Encrypting...' : 'Turn on'}
+        </button>
+        <button type="button" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+// Vault mode controls, shown in the saved analyses sidebar
+export default function VaultSettings({ status, autoLockMinutes, onEnable, onLock, onDisable, onWipe, onAutoLockChange }) {
+  const [isEnabling, setIsEnabling] = useState(false);
+  const [isConfirmingWipe, setIsConfirmingWipe] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (status === 'off') {
+    return (
+      <div className="space-y-2 pt-2 border-t text-sm" style={{ borderColor: 'hsl(var(--color-border))' }}>
+        {isEnabling ? (
+          <EnableVaultForm onEnable={onEnable} onCancel={() => setIsEnabling(false)} />
+        ) : (
+          <button onClick={() => setIsEnabling(true)} style={{ color: 'hsl(var(--color-primary))' }}>
+            Protect saved data with a passphrase
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2 pt-2 border-t text-sm" style={{ borderColor: 'hsl(var(--color-border))' }}>
+      <p className="text-xs" style={{ color: 'hsl(var(--color-text-muted))' }}>
+        Saved analyses, cached transcripts and this conversation are encrypted with your passphrase.
+      </p>
+      <AutoLockSelect value={autoLockMinutes} onChange={onAutoLockChange} />
+      <div className="flex flex-wrap gap-3 text-xs">
+        <button onClick={() => run(onLock)} style={{ color: 'hsl(var(--color-primary))' }}>Lock now</button>
+        <button onClick={() => run(onDisable)} style={{ color: 'hsl(var(--color-primary))' }}>Turn off encryption</button>
+        {isConfirmingWipe ? (
+          <>
+            <button onClick={() => run(onWipe)} style={{ color: 'hsl(var(--color-primary))' }}>Confirm erase</button>
+            <button onClick={() => setIsConfirmingWipe(false)}>Cancel</button>
+          </>
+        ) : (
+          <button onClick={() => setIsConfirmingWipe(true)} style={{ color: 'hsl(var(--color-primary))' }}>
+            Erase all saved data
+          </button>
+        )}
+      </div>
+      {error && <p className="p-2 rounded-lg text-xs" style={{ backgroundColor: 'hsl(var(--color-accent))' }}>{error}</p>}
+    </div>
+  );
+}
@@ -1,8 +1,11 @@
 import { themes, useTheme } from "../context/theme-changer"
 import { Icon } from "@iconify/react"
+import { useState } from "react"
+import ProviderSettingsPanel from "./provider-settings-panel"
 
-export default function WebHeader() {
+export default function WebHeader({ onHistoryClick }) {
   const { theme, setTheme } = useTheme()
+  const [showSettings, setShowSettings] = useState(false)
   const handleThemeChange = (e) => {
     setTheme(e.target.value)
   }
@@ -18,7 +21,33 @@ export default function WebHeader() {
         SkillScope
       </h1>
 
-      <aside className="relative">
+      <aside className="relative flex items-center gap-3">
+        {onHistoryClick && (
+          <button
+            onClick={onHistoryClick}
+            className="p-2 rounded-lg"
+            title="Saved analyses"
+          >
+            <Icon
+              icon="mdi:history"
+              className="w-5 h-5"
+              style={{ color: 'hsl(var(--color-text-muted))' }}
+            />
+          </button>
+        )}
+        <button
+          onClick={() => setShowSettings(!showSettings)}
+          className="p-2 rounded-lg"
+          title="AI provider settings"
+          aria-expanded={showSettings}
+        >
+          <Icon
+            icon="mdi:cog"
+            className="w-5 h-5"
+            style={{ color: 'hsl(var(--color-text-muted))' }}
+          />
+        </button>
+        {showSettings && <ProviderSettingsPanel onClose={() => setShowSettings(false)} />}
         <label 
           htmlFor="theme-select"
           className="flex items-center gap-2 cursor-pointer group"
@@ -1,49 +1,207 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useRef, useMemo, useEffect } from 'react';
 import { sendGroqRequest } from '../services/groq-client';
-import { addMessage, getMessagesForAPI, clearHistory } from '../services/session-storage';
-import { buildMessages } from '../utils/prompt-builder';
-import { summarizeTranscript } from '../services/transcript-summarizer';
+import { addMessage, clearHistory, removeLastMessages, replaceHistory, getHistory } from '../services/session-storage';
+import { buildConversationMemory } from '../services/conversation-memory';
+import { listSessions, getSession, saveSession, renameSession, deleteSession, createSessionTitle, getActiveSessionId, setActiveSessionId } from '../services/saved-sessions';
+import { createSessionBundle, getBundleFileName, parseSessionBundle } from '../services/session-bundle';
+import { getVaultStatus, getAutoLockMinutes, setAutoLockMinutes } from '../services/vault';
+import { enableVault, disableVault, unlockVaultStorage, lockVaultStorage, wipeVault, forgetVaultState } from '../services/vault-storage';
+import { postSyncMessage, subscribeToSync, updateRemoteStreams, pruneRemoteStreams, STREAM_HEARTBEAT_MS } from '../services/tab-sync';
+import { recordUsage, getUsageSummary, clearUsage } from '../services/usage-tracker';
+import { buildMessages, buildTranscriptReference } from '../utils/prompt-builder';
+import { requestStructuredAnalysis } from '../services/structured-analysis';
+import { completeMissingSections } from '../services/analysis-completion';
+import { summarizeInWorker, isCancelledError } from '../services/transcript-pipeline';
+import { getCachedSummary, cacheSummary } from '../services/transcript-cache';
+import { isResponseCacheEnabled, setResponseCacheEnabled, getResponseCacheKey, getCachedResponse, cacheResponse, clearResponseCache } from '../services/response-cache';
+import { parseTranscript, getAllCourses } from '../utils/transcript-parser';
+import { mergeTranscripts } from '../utils/transcript-merger';
+import { withGradingScale } from '../utils/grading-scales';
+import { EMPTY_COURSE_EDITS, applyCourseEdits, createCourse, hasCourseEdits } from '../utils/course-editor';
+import { detectPII, createManualRedaction, redactText, restoreText, redactMessages } from '../utils/pii-redactor';
+
+// Saved sessions and the session that was open when the page was last used
+async function loadLastSession() {
+  const activeId = getActiveSessionId();
+  const [list, session] = await Promise.all([listSessions(), activeId ? getSession(activeId) : null]);
+  return { list, session };
+}
 
 export function useTranscriptAnalyzer() {
-  const [transcriptText, setTranscriptText] = useState(''); // Raw text (hidden from user)
+  const [transcripts, setTranscripts] = useState([]); // Uploaded files: [{ id, fileName, text, parsed, extractionInfo }]
+  const [transcriptText, setTranscriptText] = useState(''); // Merged raw text (hidden from user)
   const [summarizedText, setSummarizedText] = useState(''); // Summarized version (used for API)
+  const [parsedTranscript, setParsedTranscript] = useState(null); // Merged structured course model (used for API)
+  const [gradingScale, setGradingScale] = useState(''); // Scale chosen by the user; '' uses the detected one
+  const [courseEdits, setCourseEdits] = useState(EMPTY_COURSE_EDITS); // Corrections from the review step
+  const [redactions, setRedactions] = useState([]); // Personal details replaced with placeholders before sending
   const [additionalContext, setAdditionalContext] = useState('');
   const [tone, setTone] = useState('casual');
   const [analysisMethod, setAnalysisMethod] = useState('');
+  const [outputFormat, setOutputFormat] = useState('markdown'); // 'markdown' report or 'json' structured analysis
+  const [responseCacheEnabled, setResponseCacheEnabledState] = useState(isResponseCacheEnabled); // Reuse saved initial analyses
   const [messages, setMessages] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [isStreaming, setIsStreaming] = useState(false);
   const [streamingText, setStreamingText] = useState('');
+  const [retryStatus, setRetryStatus] = useState(null); // Set while waiting to retry a failed request: { reason, retryAt, attempt, maxAttempts }
+  const [completingSections, setCompletingSections] = useState(null); // Titles of report sections being regenerated
   const [error, setError] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingStage, setProcessingStage] = useState(''); // 'extracting', 'summarizing', 'ready'
-  const [uploadedFileName, setUploadedFileName] = useState('');
+  const [processingProgress, setProcessingProgress] = useState(null); // Latest pipeline progress: { stage, current, total }
+  const [usage, setUsage] = useState(getUsageSummary); // Token and cost totals for this browser session
+  const [sessions, setSessions] = useState([]); // Saved analysis sessions, most recent first
+  const [activeSessionId, setActiveSessionIdState] = useState(null); // Session the conversation is saved to
+  const [vaultStatus, setVaultStatus] = useState(getVaultStatus); // 'off', 'locked' or 'unlocked'
+  const [vaultAutoLockMinutes, setVaultAutoLockMinutes] = useState(getAutoLockMinutes);
+  const [remoteStreams, setRemoteStreams] = useState({}); // Sessions streaming in other tabs: { [sessionId]: { tabId, seenAt } }
+
+  const transcriptsRef = useRef([]);
+  const redactionsRef = useRef([]);
+  const summaryRequestRef = useRef(0); // Incremented per summarization so stale results are dropped
+  const summaryAbortRef = useRef(null); // Cancels the running summarization when the transcripts change
+  const responseAbortRef = useRef(null); // Stops the response being generated
+  const streamingSessionRef = useRef(null); // Session this tab is streaming a response for
+  const remoteStateRef = useRef(null); // Session state last received from another tab, so it is not sent back
+
+  const uploadedFileName = transcripts.map(t => t.fileName).join(', ');
+
+  const handleUsage = useCallback((entry, purpose) => {
+    recordUsage(entry, purpose);
+    setUsage(getUsageSummary());
+  }, []);
 
-  const handleTranscriptExtracted = useCallback(async (text, fileName) => {
-    if (!text || !text.trim()) {
-      setError('No text could be extracted from the PDF.');
+  // Merges the uploaded transcripts into one profile and summarizes it
+  const updateTranscripts = useCallback(async (nextTranscripts) => {
+    const requestId = ++summaryRequestRef.current;
+    summaryAbortRef.current?.abort();
+    const merged = mergeTranscripts(nextTranscripts);
+    const nextRedactions = detectPII(merged.text, redactionsRef.current);
+
+    transcriptsRef.current = nextTranscripts;
+    redactionsRef.current = nextRedactions;
+    setRedactions(nextRedactions);
+    setTranscripts(nextTranscripts);
+    setTranscriptText(merged.text);
+    setParsedTranscript(merged.parsed);
+    setSummarizedText('');
+    setProcessingProgress(null);
+
+    if (!merged.text.trim()) {
+      setIsProcessing(false);
+      setProcessingStage('');
       return;
     }
 
-    setTranscriptText(text);
-    setUploadedFileName(fileName || '');
-    setError(null);
+    const controller = new AbortController();
+    summaryAbortRef.current = controller;
     setIsProcessing(true);
     setProcessingStage('summarizing');
 
     try {
-      // Summarize in the background
-      const summary = await summarizeTranscript(text);
+      // Personal details are replaced before the text leaves the browser
+      const redactedText = redactText(merged.text, nextRedactions);
+
+      // The same files with the same provider and model reuse their summary
+      let summary = await getCachedSummary(redactedText);
+      if (summary === null) {
+        // Summarize in the background worker so the UI stays responsive
+        const result = await summarizeInWorker(redactedText, {
+          onProgress: setProcessingProgress,
+          onUsage: (entry) => handleUsage(entry, 'summary'),
+          signal: controller.signal,
+        });
+        summary = result.summary;
+        // Summaries that fell back to truncated text are not kept
+        if (result.complete) {
+          await cacheSummary(redactedText, summary);
+        }
+      }
+      if (requestId !== summaryRequestRef.current) return;
       setSummarizedText(summary);
       setProcessingStage('ready');
     } catch (err) {
+      if (requestId !== summaryRequestRef.current || isCancelledError(err)) return;
       console.error('Summarization error:', err);
-      // Use original text if summarization fails
-      setSummarizedText(text);
+      // Use original text if summarization fails (it is redacted when the request is sent)
+      setSummarizedText(merged.text);
       setProcessingStage('ready');
     } finally {
-      setIsProcessing(false);
+      if (requestId === summaryRequestRef.current) {
+        setIsProcessing(false);
+        setProcessingProgress(null);
+        summaryAbortRef.current = null;
+      }
+    }
+  }, [handleUsage]);
+
+  const handleTranscriptsExtracted = useCallback(async (entries) => {
+    const usable = entries.filter(entry => entry.text && entry.text.trim());
+    const skipped = entries.filter(entry => !usable.includes(entry));
+
+    if (skipped.length > 0) {
+      setError(`No text could be extracted from ${skipped.map(entry => entry.fileName).join(', ')}.`);
+    } else {
+      setError(null);
     }
+
+    if (usable.length === 0) return;
+
+    const added = usable.map(entry => ({
+      id: crypto.randomUUID(),
+      fileName: entry.fileName || 'transcript',
+      text: entry.text,
+      parsed: entry.parsed || parseTranscript(entry.text),
+      extractionInfo: entry.info || null,
+    }));
+
+    await updateTranscripts([...transcriptsRef.current, ...added]);
+  }, [updateTranscripts]);
+
+  const handleTranscriptRemoved = useCallback(async (id) => {
+    await updateTranscripts(transcriptsRef.current.filter(t => t.id !== id));
+  }, [updateTranscripts]);
+
+  const updateRedactions = useCallback((nextRedactions) => {
+    redactionsRef.current = nextRedactions;
+    setRedactions(nextRedactions);
+  }, []);
+
+  // Switches a redaction between hidden (placeholder sent) and revealed (real value sent)
+  const handleRedactionToggle = useCallback((id) => {
+    updateRedactions(redactionsRef.current.map(r => (r.id === id ? { ...r, enabled: !r.enabled } : r)));
+  }, [updateRedactions]);
+
+  const handleRedactionAdd = useCallback((value) => {
+    const trimmed = value.trim();
+    if (!trimmed) return;
+
+    const existing = redactionsRef.current.find(r => r.value.toLowerCase() === trimmed.toLowerCase());
+    if (existing) {
+      updateRedactions(redactionsRef.current.map(r => (r.id === existing.id ? { ...r, enabled: true } : r)));
+      return;
+    }
+    updateRedactions([...redactionsRef.current, createManualRedaction(trimmed, redactionsRef.current)]);
+  }, [updateRedactions]);
+
+  const handleCourseChange = useCallback((id, changes) => {
+    setCourseEdits(prev => ({
+      ...prev,
+      changes: { ...prev.changes, [id]: { ...prev.changes[id], ...changes } },
+    }));
+  }, []);
+
+  const handleCourseAdd = useCallback((term) => {
+    setCourseEdits(prev => ({ ...prev, added: [...prev.added, createCourse(term)] }));
+  }, []);
+
+  const handleCourseRemove = useCallback((id) => {
+    setCourseEdits(prev => ({ ...prev, removed: [...prev.removed, id] }));
+  }, []);
+
+  const handleCourseEditsReset = useCallback(() => {
+    setCourseEdits(EMPTY_COURSE_EDITS);
   }, []);
 
   const handleError = useCallback((errorMessage) => {
@@ -52,18 +210,43 @@ export function useTranscriptAnalyzer() {
     setIsStreaming(false);
   }, []);
 
-  const handleSubmit = useCallback(async (isFollowUp = false) => {
-    if (isLoading || isStreaming) return;
+  // The detected scale unless the user picked one
+  const gradedTranscript = useMemo(
+    () => withGradingScale(parsedTranscript, gradingScale),
+    [parsedTranscript, gradingScale]
+  );
+
+  // The course model after the user's corrections; this is what the analysis is based on
+  const reviewedTranscript = useMemo(
+    () => applyCourseEdits(gradedTranscript, courseEdits),
+    [gradedTranscript, courseEdits]
+  );
+
+  // Why a request cannot be sent right now, or null
+  const getSubmitError = useCallback((isFollowUp) => {
+    // Only one tab at a time generates responses for a session
+    if (activeSessionId && remoteStreams[activeSessionId]) {
+      return 'A response for this analysis is being generated in another tab. Wait for it to finish.';
+    }
 
     // Validate input
     if (!isFollowUp && !summarizedText.trim() && !additionalContext.trim()) {
-      setError('Please wait for transcript processing to complete or provide additional context.');
-      return;
+      return 'Please wait for transcript processing to complete or provide additional context.';
     }
 
     // Check if still processing
     if (isProcessing) {
-      setError('Please wait for transcript processing to complete.');
+      return 'Please wait for transcript processing to complete.';
+    }
+    return null;
+  }, [activeSessionId, remoteStreams, summarizedText, additionalContext, isProcessing]);
+
+  const handleSubmit = useCallback(async (isFollowUp = false, options = {}) => {
+    if (isLoading || isStreaming) return;
+
+    const submitError = getSubmitError(isFollowUp);
+    if (submitError) {
+      setError(submitError);
       return;
     }
 
@@ -72,25 +255,62 @@ export function useTranscriptAnalyzer() {
     setIsStreaming(true);
     setStreamingText('');
 
+    // The first request of a conversation starts a saved session
+    let sessionId = activeSessionId;
+    if (!sessionId) {
+      sessionId = crypto.randomUUID();
+      setActiveSessionIdState(sessionId);
+      setActiveSessionId(sessionId);
+    }
+
+    // Stopped by handleStop, handleClear or the caller's signal
+    const controller = new AbortController();
+    responseAbortRef.current = controller;
+    options.signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+    // Other tabs hold off on this session until the announcements stop
+    streamingSessionRef.current = sessionId;
+    postSyncMessage({ type: 'stream-started', sessionId });
+    const heartbeat = setInterval(() => postSyncMessage({ type: 'stream-started', sessionId }), STREAM_HEARTBEAT_MS);
+
+    let fullResponse = '';
+
     try {
-      // Get conversation history (last 5 messages)
-      const history = getMessagesForAPI(5);
+      // Once courses were parsed, the reviewed course data replaces the raw/summarized text
+      const hasReviewedCourses = getAllCourses(reviewedTranscript).length > 0;
+
+      // Conversation history within the token budget: the transcript and initial analysis
+      // are always included, older turns are summarized
+      const history = await buildConversationMemory(
+        buildTranscriptReference(hasReviewedCourses ? '' : summarizedText, reviewedTranscript),
+        {
+          redactions,
+          signal: controller.signal,
+          onRetry: setRetryStatus,
+          onUsage: (entry) => handleUsage(entry, 'memory'),
+        }
+      );
 
       // Build messages for API using summarized text
       // Pass isFollowUp flag to distinguish between initial analysis and follow-ups
-      const apiMessages = buildMessages(
-        isFollowUp ? '' : summarizedText, // Only include transcript for initial analysis
+
+      // Everything sent (transcript, context, history) goes through the redaction pass
+      const buildRequest = (conversationHistory) => redactMessages(buildMessages(
+        isFollowUp || hasReviewedCourses ? '' : summarizedText, // Only include transcript for initial analysis
         additionalContext,
         tone,
         isFollowUp ? '' : analysisMethod, // Only include analysis method for initial analysis
-        history,
-        isFollowUp // Pass the follow-up flag
-      );
+        conversationHistory,
+        isFollowUp, // Pass the follow-up flag
+        isFollowUp ? null : reviewedTranscript,
+        outputFormat
+      ), redactions);
+      const apiMessages = buildRequest(history);
 
       // Add user message to local state (don't show raw transcript)
       const userMessageContent = isFollowUp
         ? additionalContext
-        : `I've uploaded my transcript${uploadedFileName ? ` (${uploadedFileName})` : ''}.${additionalContext ? `\n\nAdditional Context: ${additionalContext}` : ''}`;
+        : `I've uploaded my transcript${transcripts.length > 1 ? 's' : ''}${uploadedFileName ? ` (${uploadedFileName})` : ''}.${additionalContext ? `\n\nAdditional Context: ${additionalContext}` : ''}`;
 
       const newUserMessage = {
         role: 'user',
@@ -101,39 +321,163 @@ export function useTranscriptAnalyzer() {
       setMessages((prev) => [...prev, newUserMessage]);
       addMessage('user', userMessageContent);
 
-      // Stream response
-      let fullResponse = '';
-      const onChunk = (chunk) => {
-        fullResponse += chunk;
-        setStreamingText(fullResponse);
+      const requestOptions = {
+        signal: controller.signal,
+        onRetry: setRetryStatus,
+        onUsage: (entry) => handleUsage(entry, isFollowUp ? 'follow-up' : 'analysis'),
       };
 
-      const response = await sendGroqRequest(apiMessages, true, onChunk);
+      // Initial analyses can be reused when exactly the same request was made before; the key
+      // leaves the history out, so analyzing again in the same conversation finds the saved one
+      const cacheKey = responseCacheEnabled && !isFollowUp ? await getResponseCacheKey(buildRequest([]), outputFormat) : null;
+      const cached = cacheKey && !options.regenerate ? await getCachedResponse(cacheKey) : null;
+
+      let assistantMessage;
+      if (cached) {
+        assistantMessage = {
+          role: 'assistant',
+          content: cached.content,
+          ...(cached.analysis && { analysis: cached.analysis }),
+          cached: true,
+          timestamp: Date.now(),
+        };
+      } else if (!isFollowUp && outputFormat === 'json') {
+        // Validated JSON analysis; the content keeps the JSON so follow-ups can refer to it
+        const { analysis } = await requestStructuredAnalysis(apiMessages, requestOptions);
+        assistantMessage = {
+          role: 'assistant',
+          content: JSON.stringify(analysis),
+          analysis,
+          timestamp: Date.now(),
+        };
+      } else {
+        // Stream response
+        const onChunk = (chunk) => {
+          fullResponse += chunk;
+          setStreamingText(fullResponse);
+          setRetryStatus(null);
+        };
+
+        const response = await sendGroqRequest(apiMessages, true, onChunk, requestOptions);
+        assistantMessage = {
+          role: 'assistant',
+          content: response || fullResponse,
+          timestamp: Date.now(),
+        };
+
+        // Regenerate report sections the model skipped or left empty
+        if (!isFollowUp && assistantMessage.content.trim()) {
+          const completion = await completeMissingSections(apiMessages, assistantMessage.content, {
+            ...requestOptions,
+            onStart: setCompletingSections,
+          });
+          // Cleared while the sections were being generated
+          if (responseAbortRef.current !== controller) return;
+
+          assistantMessage = {
+            ...assistantMessage,
+            content: completion.content,
+            repairedSections: completion.repaired,
+            incompleteSections: completion.incomplete,
+          };
+        }
+      }
+
+      // Reports with sections still missing are not worth reusing
+      if (cacheKey && !cached && !assistantMessage.incompleteSections?.length) {
+        await cacheResponse(cacheKey, { content: assistantMessage.content, analysis: assistantMessage.analysis || null });
+      }
 
       setIsStreaming(false);
       setStreamingText('');
 
       // Add assistant response to local state
-      const assistantMessage = {
-        role: 'assistant',
-        content: response || fullResponse,
-        timestamp: Date.now(),
-      };
-
       setMessages((prev) => [...prev, assistantMessage]);
-      addMessage('assistant', response || fullResponse);
+      addMessage('assistant', assistantMessage.content);
 
       // Clear additional context for follow-up questions
       if (isFollowUp) {
         setAdditionalContext('');
       }
     } catch (err) {
-      handleError(err.message || 'Failed to get AI response. Please try again.');
+      if (!controller.signal.aborted) {
+        handleError(err.message || 'Failed to get AI response. Please try again.');
+      } else if (fullResponse.trim() && responseAbortRef.current === controller) {
+        // Keep what was generated before the user stopped it
+        setMessages((prev) => [...prev, {
+          role: 'assistant',
+          content: fullResponse,
+          stopped: true,
+          timestamp: Date.now(),
+        }]);
+        addMessage('assistant', fullResponse);
+      }
     } finally {
+      clearInterval(heartbeat);
+      streamingSessionRef.current = null;
+      postSyncMessage({ type: 'stream-ended', sessionId });
+      if (responseAbortRef.current === controller) {
+        responseAbortRef.current = null;
+      }
       setIsLoading(false);
       setIsStreaming(false);
+      setStreamingText('');
+      setRetryStatus(null);
+      setCompletingSections(null);
+    }
+  }, [summarizedText, reviewedTranscript, redactions, additionalContext, tone, analysisMethod, isLoading, isStreaming, transcripts.length, uploadedFileName, handleUsage, outputFormat, responseCacheEnabled, activeSessionId, getSubmitError]);
+
+  // Replaces a saved response (and the request shown with it) with a freshly generated one
+  const handleRegenerate = useCallback(() => {
+    const last = messages[messages.length - 1];
+    if (!last?.cached || isLoading || isStreaming) return;
+
+    // Keep the saved response when the request cannot be sent again (e.g. a resumed session without its transcript)
+    const submitError = getSubmitError(false);
+    if (submitError) {
+      setError(submitError);
+      return;
+    }
+
+    setMessages((prev) => prev.slice(0, -2));
+    removeLastMessages(2);
+    handleSubmit(false, { regenerate: true });
+  }, [messages, isLoading, isStreaming, getSubmitError, handleSubmit]);
+
+  const handleResponseCacheToggle = useCallback((enabled) => {
+    setResponseCacheEnabled(enabled);
+    setResponseCacheEnabledState(enabled);
+    postSyncMessage({ type: 'settings-changed', settings: { responseCacheEnabled: enabled } });
+  }, []);
+
+  // Tone, method and format chosen here also change in tabs showing the same session,
+  // including a new session that has no messages yet
+  const postSessionSettings = useCallback((settings) => {
+    postSyncMessage({ type: 'settings-changed', sessionId: activeSessionId, settings });
+  }, [activeSessionId]);
+
+  const handleToneChange = useCallback((value) => {
+    setTone(value);
+    postSessionSettings({ tone: value });
+  }, [postSessionSettings]);
+
+  const handleAnalysisMethodChange = useCallback((value) => {
+    setAnalysisMethod(value);
+    postSessionSettings({ analysisMethod: value });
+  }, [postSessionSettings]);
+
+  const handleOutputFormatChange = useCallback((value) => {
+    setOutputFormat(value);
+    postSessionSettings({ outputFormat: value });
+  }, [postSessionSettings]);
+
+  const handleResponseCacheClear = useCallback(async () => {
+    try {
+      await clearResponseCache();
+    } catch (err) {
+      setError(`Could not clear saved responses: ${err.message}`);
     }
-  }, [summarizedText, additionalContext, tone, analysisMethod, isLoading, isStreaming, isProcessing, uploadedFileName]);
+  }, []);
 
   const handleFollowUp = useCallback(() => {
     if (!additionalContext.trim()) {
@@ -143,45 +487,488 @@ export function useTranscriptAnalyzer() {
     handleSubmit(true);
   }, [additionalContext, handleSubmit]);
 
-  const handleClear = useCallback(() => {
+  const handleUsageReset = useCallback(() => {
+    clearUsage();
+    setUsage(getUsageSummary());
+  }, []);
+
+  const handleStop = useCallback(() => {
+    responseAbortRef.current?.abort();
+  }, []);
+
+  // Stops running work and empties the workspace; the conversation history is handled by the caller
+  const resetWorkspace = useCallback(() => {
+    // Drop the response being generated rather than keeping it as stopped
+    const responseController = responseAbortRef.current;
+    responseAbortRef.current = null;
+    responseController?.abort();
+    summaryRequestRef.current++;
+    summaryAbortRef.current?.abort();
+    summaryAbortRef.current = null;
+    transcriptsRef.current = [];
+    redactionsRef.current = [];
+    setTranscripts([]);
+    setRedactions([]);
     setTranscriptText('');
     setSummarizedText('');
+    setParsedTranscript(null);
+    setGradingScale('');
+    setCourseEdits(EMPTY_COURSE_EDITS);
     setAdditionalContext('');
     setMessages([]);
     setError(null);
-    setUploadedFileName('');
     setProcessingStage('');
+    setProcessingProgress(null);
     setIsProcessing(false);
+  }, []);
+
+  // Starts a new conversation; the previous one stays in the saved sessions
+  const startNewSession = useCallback(() => {
+    resetWorkspace();
+    clearHistory();
+    setActiveSessionIdState(null);
+    setActiveSessionId(null);
+  }, [resetWorkspace]);
+
+  // Tabs showing the same session start over as well
+  const handleClear = useCallback(() => {
+    if (activeSessionId) {
+      postSyncMessage({ type: 'session-cleared', sessionId: activeSessionId });
+    }
+    startNewSession();
+  }, [activeSessionId, startNewSession]);
+
+  const refreshSessions = useCallback(async () => {
+    try {
+      setSessions(await listSessions());
+    } catch (err) {
+      console.warn('Could not load saved sessions:', err);
+    }
+  }, []);
+
+  const applySession = useCallback((session) => {
+    resetWorkspace();
+    redactionsRef.current = session.redactions || [];
+    setRedactions(session.redactions || []);
+    setTone(session.tone || 'casual');
+    setAnalysisMethod(session.analysisMethod || '');
+    setOutputFormat(session.outputFormat || 'markdown');
+    setMessages(session.messages || []);
+    replaceHistory(session.messages || [], session.memory || null);
+    setActiveSessionIdState(session.id);
+    setActiveSessionId(session.id);
+  }, [resetWorkspace]);
+
+  const handleSessionResume = useCallback(async (id) => {
+    try {
+      const session = await getSession(id);
+      if (!session) {
+        setError('This session no longer exists.');
+        await refreshSessions();
+        return;
+      }
+      applySession(session);
+    } catch (err) {
+      setError(`Could not open the session: ${err.message}`);
+    }
+  }, [applySession, refreshSessions]);
+
+  const handleSessionRename = useCallback(async (id, title) => {
+    try {
+      await renameSession(id, title);
+      postSyncMessage({ type: 'sessions-changed' });
+    } catch (err) {
+      setError(`Could not rename the session: ${err.message}`);
+    }
+    await refreshSessions();
+  }, [refreshSessions]);
+
+  const handleSessionDelete = useCallback(async (id) => {
+    try {
+      await deleteSession(id);
+      postSyncMessage({ type: 'session-cleared', sessionId: id });
+      postSyncMessage({ type: 'sessions-changed' });
+      if (id === activeSessionId) {
+        startNewSession();
+      }
+    } catch (err) {
+      setError(`Could not delete the session: ${err.message}`);
+    }
+    await refreshSessions();
+  }, [activeSessionId, startNewSession, refreshSessions]);
+
+  const restoreLastSession = useCallback(async () => {
+    try {
+      const { list, session } = await loadLastSession();
+      setSessions(list);
+      if (session) applySession(session);
+    } catch (err) {
+      console.warn('Could not restore the last session:', err);
+    }
+  }, [applySession]);
+
+  // Restore the session that was open when the page was last used
+  useEffect(() => {
+    // With a locked vault this happens after unlocking
+    if (getVaultStatus() === 'locked') return;
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const { list, session } = await loadLastSession();
+        if (cancelled) return;
+        setSessions(list);
+        if (session) applySession(session);
+      } catch (err) {
+        console.warn('Could not restore the last session:', err);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [applySession]);
+
+  // Save the conversation whenever it changes
+  const transcriptInfo = useMemo(
+    () => transcripts.map(t => ({ fileName: t.fileName, institution: t.parsed?.institution || null, pageCount: t.extractionInfo?.pageCount ?? null })),
+    [transcripts]
+  );
+
+  useEffect(() => {
+    if (!activeSessionId || messages.length === 0) return;
+
+    // Changes received from another tab were saved there
+    const remote = remoteStateRef.current;
+    if (remote && remote.messages === messages && remote.tone === tone && remote.analysisMethod === analysisMethod
+      && remote.outputFormat === outputFormat && remote.redactions === redactions) {
+      return;
+    }
+
+    // The running summary and digest go along, so they are not requested again elsewhere
+    const { memory } = getHistory();
+    postSyncMessage({
+      type: 'session-updated',
+      sessionId: activeSessionId,
+      session: { messages, tone, analysisMethod, outputFormat, redactions, memory },
+    });
+
+    saveSession({
+      id: activeSessionId,
+      title: createSessionTitle(transcriptInfo, messages),
+      // A resumed session has no files loaded; keep the ones it was created with
+      ...(transcriptInfo.length > 0 && { transcripts: transcriptInfo }),
+      tone,
+      analysisMethod,
+      outputFormat,
+      redactions,
+      messages,
+      memory,
+    })
+      .then(() => {
+        postSyncMessage({ type: 'sessions-changed' });
+        return refreshSessions();
+      })
+      .catch(err => console.warn('Could not save the session:', err));
+  }, [activeSessionId, messages, transcriptInfo, tone, analysisMethod, outputFormat, redactions, refreshSessions]);
+
+  // The open analysis as a portable file; with stripPII, personal details are left out
+  const handleSessionExport = useCallback(({ stripPII = false } = {}) => {
+    const title = sessions.find(session => session.id === activeSessionId)?.title || createSessionTitle(transcriptInfo, messages);
+    const bundle = createSessionBundle({
+      title,
+      transcripts: transcripts.map(({ fileName, text, parsed, extractionInfo }) => ({ fileName, text, parsed, extractionInfo })),
+      summary: summarizedText,
+      settings: { tone, analysisMethod, outputFormat, gradingScale },
+      courseEdits,
+      redactions,
+      messages,
+    }, { stripPII });
+
+    return { fileName: getBundleFileName(bundle.session.title), json: JSON.stringify(bundle, null, 2) };
+  }, [sessions, activeSessionId, transcriptInfo, messages, transcripts, summarizedText, tone, analysisMethod, outputFormat, gradingScale, courseEdits, redactions]);
+
+  // Opens an exported session as a new saved session
+  const handleSessionImport = useCallback(async (file) => {
+    try {
+      const { session } = parseSessionBundle(await file.text());
+      const imported = session.transcripts.map(t => ({
+        id: crypto.randomUUID(),
+        fileName: t.fileName,
+        text: t.text,
+        parsed: t.parsed || parseTranscript(t.text),
+        extractionInfo: t.extractionInfo || null,
+      }));
+      const restored = {
+        id: crypto.randomUUID(),
+        title: session.title,
+        transcripts: imported.map(t => ({ fileName: t.fileName, institution: t.parsed?.institution || null, pageCount: t.extractionInfo?.pageCount ?? null })),
+        tone: session.settings.tone,
+        analysisMethod: session.settings.analysisMethod || '',
+        outputFormat: session.settings.outputFormat,
+        redactions: session.redactions,
+        messages: session.messages,
+      };
+
+      // Saved before the state changes, so the autosave finds the imported title
+      if (restored.messages.length > 0) {
+        await saveSession(restored);
+      }
+      applySession(restored);
+
+      const merged = mergeTranscripts(imported);
+      transcriptsRef.current = imported;
+      setTranscripts(imported);
+      setTranscriptText(merged.text);
+      setParsedTranscript(merged.parsed);
+      // The exported summary is used as is rather than summarizing again
+      setSummarizedText(session.summary || merged.text);
+      setProcessingStage(imported.length > 0 ? 'ready' : '');
+      setGradingScale(session.settings.gradingScale || '');
+      setCourseEdits({ ...EMPTY_COURSE_EDITS, ...session.courseEdits });
+    } catch (err) {
+      setError(`Could not import the session: ${err.message}`);
+    }
+    await refreshSessions();
+  }, [applySession, refreshSessions]);
+
+  // The vault handlers reject with a message for the vault forms to show
+  const handleVaultEnable = useCallback(async (passphrase, autoLockMinutes) => {
+    await enableVault(passphrase, autoLockMinutes);
+    postSyncMessage({ type: 'vault-changed' });
+    setVaultAutoLockMinutes(autoLockMinutes);
+    setVaultStatus('unlocked');
+  }, []);
+
+  const handleVaultUnlock = useCallback(async (passphrase) => {
+    await unlockVaultStorage(passphrase);
+    setVaultStatus('unlocked');
+    await restoreLastSession();
+  }, [restoreLastSession]);
+
+  // Nothing decrypted stays on screen; the open session is reopened after unlocking
+  const lockWorkspace = useCallback(async () => {
+    resetWorkspace();
+    setSessions([]);
+    setActiveSessionIdState(null);
+    await lockVaultStorage();
+    setVaultStatus('locked');
+  }, [resetWorkspace]);
+
+  // "Lock now" locks every tab; the inactivity timer only this one
+  const handleVaultLock = useCallback(async () => {
+    postSyncMessage({ type: 'vault-locked' });
+    await lockWorkspace();
+  }, [lockWorkspace]);
+
+  const handleVaultDisable = useCallback(async () => {
+    await disableVault();
+    postSyncMessage({ type: 'vault-changed' });
+    setVaultStatus('off');
+  }, []);
+
+  const handleVaultWipe = useCallback(async () => {
+    resetWorkspace();
+    await wipeVault();
+    postSyncMessage({ type: 'vault-changed' });
+    setSessions([]);
+    setActiveSessionIdState(null);
+    setVaultStatus('off');
+  }, [resetWorkspace]);
+
+  // Another tab turned the vault on, off or erased it; the key and conversation held here no longer match
+  const handleVaultChanged = useCallback(async () => {
+    resetWorkspace();
+    forgetVaultState();
     clearHistory();
+    setSessions([]);
+    setActiveSessionIdState(null);
+    setVaultAutoLockMinutes(getAutoLockMinutes());
+
+    const status = getVaultStatus();
+    setVaultStatus(status);
+    if (status === 'off') {
+      await restoreLastSession();
+    }
+  }, [resetWorkspace, restoreLastSession]);
+
+  const handleVaultAutoLockChange = useCallback((minutes) => {
+    setAutoLockMinutes(minutes);
+    setVaultAutoLockMinutes(minutes);
+  }, []);
+
+  // Lock after a period without keyboard, pointer or scroll activity
+  useEffect(() => {
+    if (vaultStatus !== 'unlocked') return;
+
+    const events = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+    let timer = null;
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lockWorkspace, vaultAutoLockMinutes * 60 * 1000);
+    };
+
+    restart();
+    events.forEach(event => window.addEventListener(event, restart, { passive: true }));
+    return () => {
+      clearTimeout(timer);
+      events.forEach(event => window.removeEventListener(event, restart));
+    };
+  }, [vaultStatus, vaultAutoLockMinutes, lockWorkspace]);
+
+  // Apply what the other tabs changed
+  useEffect(() => {
+    return subscribeToSync((message) => {
+      switch (message.type) {
+        case 'session-updated': {
+          if (message.sessionId !== activeSessionId || vaultStatus === 'locked') return;
+          const { session } = message;
+          remoteStateRef.current = session;
+          redactionsRef.current = session.redactions;
+          setRedactions(session.redactions);
+          setTone(session.tone);
+          setAnalysisMethod(session.analysisMethod);
+          setOutputFormat(session.outputFormat);
+          setMessages(session.messages);
+          replaceHistory(session.messages, session.memory);
+          break;
+        }
+        case 'session-cleared':
+          if (message.sessionId === activeSessionId) startNewSession();
+          break;
+        case 'sessions-changed':
+          if (vaultStatus !== 'locked') refreshSessions();
+          break;
+        case 'stream-started':
+        case 'stream-ended':
+          setRemoteStreams(streams => updateRemoteStreams(streams, message));
+          break;
+        case 'streams-requested':
+          if (streamingSessionRef.current) {
+            postSyncMessage({ type: 'stream-started', sessionId: streamingSessionRef.current });
+          }
+          break;
+        case 'settings-changed': {
+          const { responseCacheEnabled: cacheEnabled, ...sessionSettings } = message.settings;
+          if (cacheEnabled !== undefined) setResponseCacheEnabledState(cacheEnabled);
+          if (message.sessionId !== activeSessionId || vaultStatus === 'locked' || Object.keys(sessionSettings).length === 0) break;
+
+          // The tab that made the change saves it, so it is not saved and sent back from here
+          remoteStateRef.current = { messages, tone, analysisMethod, outputFormat, redactions, ...sessionSettings };
+          if (sessionSettings.tone !== undefined) setTone(sessionSettings.tone);
+          if (sessionSettings.analysisMethod !== undefined) setAnalysisMethod(sessionSettings.analysisMethod);
+          if (sessionSettings.outputFormat !== undefined) setOutputFormat(sessionSettings.outputFormat);
+          break;
+        }
+        case 'vault-changed':
+          handleVaultChanged();
+          break;
+        case 'vault-locked':
+          if (vaultStatus === 'unlocked') lockWorkspace();
+          break;
+        default:
+          break;
+      }
+    });
+  }, [activeSessionId, vaultStatus, messages, tone, analysisMethod, outputFormat, redactions, startNewSession, refreshSessions, handleVaultChanged, lockWorkspace]);
+
+  // Learn about streams already running, and end this tab's announcement when it closes
+  useEffect(() => {
+    const handlePageHide = () => {
+      if (streamingSessionRef.current) {
+        postSyncMessage({ type: 'stream-ended', sessionId: streamingSessionRef.current });
+      }
+    };
+
+    postSyncMessage({ type: 'streams-requested' });
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
   }, []);
 
+  // Forget streams whose tab stopped announcing them
+  useEffect(() => {
+    if (Object.keys(remoteStreams).length === 0) return;
+
+    const timer = setInterval(() => setRemoteStreams(pruneRemoteStreams), STREAM_HEARTBEAT_MS);
+    return () => clearInterval(timer);
+  }, [remoteStreams]);
+
+  // What the API will see in place of the transcript, for the redaction preview
+  const redactedPreview = useMemo(
+    () => redactText(restoreText(summarizedText || transcriptText, redactions), redactions),
+    [summarizedText, transcriptText, redactions]
+  );
+
   return {
     // State
-    transcriptText, // Raw (hidden)
+    transcripts, // Uploaded files, in upload order
+    transcriptText, // Merged raw (hidden)
     summarizedText, // Summarized (used for API)
+    parsedTranscript, // Structured course model with the detected grading scale
+    reviewedTranscript, // Course model on the selected scale with the user's corrections (used for API)
+    hasCourseEdits: hasCourseEdits(courseEdits),
+    gradingScale, // Selected scale id, '' for auto-detect
+    redactions, // Personal details hidden from the API
+    redactedPreview, // Transcript text as it will be sent
     additionalContext,
     tone,
     analysisMethod,
+    outputFormat, // 'markdown' or 'json' for the initial analysis
+    responseCacheEnabled, // Whether identical initial analyses are served from the local cache
     messages,
     isLoading,
     isStreaming,
     streamingText,
+    retryStatus, // Countdown data while a failed request waits to be retried
+    completingSections, // Report sections being regenerated after the response, or null
+    usage, // Session token usage and estimated cost
+    sessions, // Saved analysis sessions for the history sidebar
+    activeSessionId, // Id of the saved session being shown, or null
+    vaultStatus, // 'off', 'locked' or 'unlocked'
+    vaultAutoLockMinutes, // Inactivity before the vault locks itself
+    isStreamingElsewhere: !!(activeSessionId && remoteStreams[activeSessionId]), // Another tab is generating a response for this session
     error,
     isProcessing,
     processingStage,
+    processingProgress,
     uploadedFileName,
 
     // Setters
     setAdditionalContext,
-    setTone,
-    setAnalysisMethod,
+    setGradingScale,
 
     // Handlers
-    handleTranscriptExtracted,
+    handleTranscriptsExtracted,
+    handleTranscriptRemoved,
+    handleRedactionToggle,
+    handleRedactionAdd,
+    handleCourseChange,
+    handleCourseAdd,
+    handleCourseRemove,
+    handleCourseEditsReset,
     handleError,
     handleSubmit,
     handleFollowUp,
+    handleStop,
+    handleRegenerate,
+    handleToneChange,
+    handleAnalysisMethodChange,
+    handleOutputFormatChange,
+    handleResponseCacheToggle,
+    handleResponseCacheClear,
+    handleUsageReset,
     handleClear,
+    handleSessionResume,
+    handleSessionRename,
+    handleSessionDelete,
+    handleSessionExport,
+    handleSessionImport,
+    handleVaultEnable,
+    handleVaultUnlock,
+    handleVaultLock,
+    handleVaultDisable,
+    handleVaultWipe,
+    handleVaultAutoLockChange,
   };
 }
 
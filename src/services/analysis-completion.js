@@ -0,0 +1,76 @@
+/**
+ * Analysis Completion Service
+ * Fills in report sections the model skipped or left empty
+ * Only the broken sections are requested again, with the original conversation
+ * as context, and the answers are spliced back into the report.
+ */
+
+import { sendGroqRequest } from './groq-client';
+import { checkOutputContract, extractContractSections, spliceContractSections, formatContractSection } from '../utils/output-contract';
+
+const PROBLEM_LABELS = {
+  missing: 'missing',
+  empty: 'empty',
+  'no course rows': 'has no course rows',
+  'missing subsections': 'is missing its subsections',
+};
+
+function buildCompletionPrompt(problems) {
+  const listed = problems.map(({ section, problem }) => `- "${section.number}. ${section.title}" ${PROBLEM_LABELS[problem]}`).join('\n');
+  const contract = problems.map(({ section }) => formatContractSection(section)).join('\n\n');
+
+  return `Your analysis is incomplete:
+${listed}
+
+Write ONLY these sections, using exactly these headings and following the same instructions as before:
+
+${contract}
+
+Do not repeat any other section and do not add an introduction.`;
+}
+
+/**
+ * Checks a report against the output contract and regenerates broken sections
+ * Never throws: when the request fails or is stopped, the report is returned
+ * as it was, with the sections that are still broken.
+ * @param {Array} messages - Messages the report was generated from
+ * @param {string} content - Report text
+ * @param {Object} options - { signal, onRetry, onUsage, onStart } where onStart receives the section titles being requested
+ * @returns {Promise<Object>} - { content, repaired: [title], incomplete: [title] }
+ */
+export async function completeMissingSections(messages, content, options = {}) {
+  const { signal = null, onRetry = null, onUsage = null, onStart = null } = options;
+  const { problems } = checkOutputContract(content);
+
+  if (problems.length === 0) {
+    return { content, repaired: [], incomplete: [] };
+  }
+
+  const titles = problems.map(({ section }) => section.title);
+  onStart?.(titles);
+
+  try {
+    const response = await sendGroqRequest([
+      ...messages,
+      { role: 'assistant', content },
+      { role: 'user', content: buildCompletionPrompt(problems) },
+    ], false, null, { signal, onRetry, onUsage });
+
+    // Only splice sections that were asked for, so valid ones are never overwritten
+    const requested = new Set(problems.map(({ section }) => section.number));
+    const replacements = new Map([...extractContractSections(response)].filter(([number]) => requested.has(number)));
+    const completed = replacements.size > 0 ? spliceContractSections(content, replacements) : content;
+    const remaining = checkOutputContract(completed).problems.map(({ section }) => section.title);
+
+    return {
+      content: completed,
+      repaired: titles.filter(title => !remaining.includes(title)),
+      incomplete: remaining,
+    };
+  } catch (error) {
+    if (!signal?.aborted) {
+      console.warn('Could not complete missing analysis sections:', error);
+    }
+    return { content, repaired: [], incomplete: titles };
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * Conversation Memory Service
+ * Chooses the conversation history sent with each request, within a token budget
+ * The transcript and the initial analysis (or a digest of it) are always included,
+ * recent turns are kept verbatim, and older turns are folded into a running summary.
+ * The summary and digest are stored with the history, so each turn is summarized once.
+ */
+
+import { sendGroqRequest } from './groq-client';
+import { getProviderSettings } from './provider-settings';
+import { DEFAULT_MAX_TOKENS } from './llm-providers';
+import { getHistory, setConversationMemory } from './session-storage';
+import { estimateTokens, estimateMessagesTokens, truncateToTokens } from '../utils/token-estimator';
+import { getModelInfo } from '../utils/model-info';
+import { redactMessages } from '../utils/pii-redactor';
+
+const MAX_MEMORY_TOKENS = 12000; // Cap on history tokens per request, even for large context windows
+const CONTEXT_SHARE = 0.5; // Share of the model's prompt space history may use
+const TRANSCRIPT_SHARE = 0.3; // Share of the memory budget for the pinned transcript
+const ANALYSIS_SHARE = 0.3; // Longer initial analyses are replaced by a digest
+const SUMMARY_TOKENS = 600; // Target length of the running summary
+
+const SYSTEM_PROMPT = 'You summarize conversations between a student and an academic advisor about the student\'s transcript. Be factual and concise.';
+
+function buildSummaryPrompt(previousSummary, turns) {
+  const conversation = turns
+    .map(turn => `${turn.role === 'user' ? 'Student' : 'Advisor'}: ${turn.content.trim()}`)
+    .join('\n\n');
+
+  return `Update the running summary of this conversation with the new messages below.
+
+Keep:
+- Every question the student asked and the gist of each answer
+- All figures, course codes, grades and recommendations mentioned
+- Goals, preferences and decisions the student stated
+
+${previousSummary ? `CURRENT SUMMARY:\n${previousSummary.trim()}\n\n` : ''}Write bullet points only, under ${Math.round(SUMMARY_TOKENS * 0.75)} words, and reply with the summary alone.
+
+CONVERSATION:
+${conversation}`;
+}
+
+function buildDigestPrompt(analysis, maxTokens) {
+  return `Condense this transcript analysis into a digest that will be used as reference for follow-up questions.
+
+Keep every figure, course code, grade, classification, strength, weakness and recommendation; drop repetition and decorative formatting. Keep the digest under ${Math.round(maxTokens * 0.75)} words and reply with the digest alone.
+
+ANALYSIS:
+${analysis.trim()}`;
+}
+
+/**
+ * Gets the number of history tokens a request may use with the active model
+ * @returns {number}
+ */
+function getMemoryBudget() {
+  const { provider, model } = getProviderSettings();
+  const { contextWindow } = getModelInfo(model, provider);
+  return Math.min(MAX_MEMORY_TOKENS, Math.floor((contextWindow - DEFAULT_MAX_TOKENS) * CONTEXT_SHARE));
+}
+
+function toApiMessage(message) {
+  return { role: message.role, content: message.content };
+}
+
+/**
+ * Selects the most recent turns that fit a budget, starting at a user message
+ * @param {Array} turns - Messages after the initial analysis
+ * @param {number} budget - Token budget
+ * @returns {number} - Index of the first turn to keep verbatim
+ */
+function findRecentStart(turns, budget) {
+  let start = turns.length;
+  let tokens = 0;
+
+  while (start > 0) {
+    tokens += estimateMessagesTokens([turns[start - 1]]);
+    if (tokens > budget) break;
+    start--;
+  }
+
+  // A reply is never kept without its question
+  while (start < turns.length && turns[start].role !== 'user') {
+    start++;
+  }
+  return start;
+}
+
+/**
+ * Makes one summarization request
+ * Returns null when it fails (the caller falls back); stops are rethrown.
+ */
+async function requestMemoryText(prompt, redactions, options) {
+  const { signal = null, onRetry = null, onUsage = null } = options;
+
+  try {
+    const messages = redactMessages([
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: prompt },
+    ], redactions);
+    const text = await sendGroqRequest(messages, false, null, { signal, onRetry, onUsage });
+    return text.trim() || null;
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn('Conversation memory request failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Gets the initial analysis as it will be pinned: verbatim when short enough, otherwise a digest
+ */
+async function getPinnedAnalysis(analysis, memory, budget, redactions, options) {
+  if (estimateTokens(analysis.content) <= budget) {
+    return { content: analysis.content, memory };
+  }
+
+  if (memory.digest && memory.digestOf === analysis.timestamp) {
+    return { content: memory.digest, memory };
+  }
+
+  const digest = await requestMemoryText(buildDigestPrompt(analysis.content, budget), redactions, options);
+  if (!digest) {
+    return { content: truncateToTokens(analysis.content, budget), memory };
+  }
+
+  const condensed = truncateToTokens(digest, budget);
+  return { content: condensed, memory: { ...memory, digest: condensed, digestOf: analysis.timestamp } };
+}
+
+/**
+ * Folds turns that left the verbatim window into the running summary
+ */
+async function getRunningSummary(olderTurns, memory, redactions, options) {
+  const folded = memory.foldedUntil || 0;
+  const unfolded = olderTurns.filter(turn => turn.timestamp > folded);
+
+  if (unfolded.length === 0) {
+    return { summary: memory.summary || '', memory };
+  }
+
+  let summary = await requestMemoryText(buildSummaryPrompt(memory.summary, unfolded), redactions, options);
+  if (!summary) {
+    // Not stored, so the turns are summarized again on the next request
+    const excerpts = unfolded
+      .filter(turn => turn.role === 'user')
+      .map(turn => `- Student asked: ${truncateToTokens(turn.content.trim(), 60)}`);
+    return { summary: [memory.summary, ...excerpts].filter(Boolean).join('\n'), memory };
+  }
+
+  // Room is reserved for SUMMARY_TOKENS; allow some overrun before cutting
+  summary = truncateToTokens(summary, SUMMARY_TOKENS * 2);
+  return {
+    summary,
+    memory: { ...memory, summary, foldedUntil: unfolded[unfolded.length - 1].timestamp },
+  };
+}
+
+/**
+ * Builds the conversation history for the next request
+ * Layout: the initial request with the transcript reference, the initial analysis
+ * (or its digest) followed by the summary of older turns, then recent turns verbatim.
+ * May make up to two short requests (digest, summary update); when they fail, the
+ * analysis is truncated and older questions are listed instead, so this only throws on a stop.
+ * @param {string} transcriptReference - From buildTranscriptReference; '' when the transcript is not loaded
+ * @param {Object} options
+ * @param {Array} options.redactions - Applied to everything sent for summarization
+ * @param {AbortSignal} options.signal
+ * @param {Function} options.onRetry - Called with the retry status before each retry wait
+ * @param {Function} options.onUsage - Called with the usage entry of each summarization request
+ * @returns {Promise<Array>} - Messages with role and content, oldest first; the pinned ones carry pinned: true for fitMessagesToContext
+ */
+export async function buildConversationMemory(transcriptReference, options = {}) {
+  const { redactions = [] } = options;
+  const { messages, memory: storedMemory } = getHistory();
+  let memory = storedMemory || {};
+
+  if (messages.length === 0) return [];
+
+  const budget = getMemoryBudget();
+  const analysisIndex = messages.findIndex(message => message.role === 'assistant');
+  const pinned = [];
+
+  if (analysisIndex !== -1) {
+    const request = messages.slice(0, analysisIndex).reverse().find(message => message.role === 'user');
+    const reference = truncateToTokens(transcriptReference, Math.floor(budget * TRANSCRIPT_SHARE));
+    const pinnedAnalysis = await getPinnedAnalysis(messages[analysisIndex], memory, Math.floor(budget * ANALYSIS_SHARE), redactions, options);
+    memory = pinnedAnalysis.memory;
+
+    pinned.push(
+      { role: 'user', content: [request?.content, reference].filter(Boolean).join('\n\n'), pinned: true },
+      { role: 'assistant', content: pinnedAnalysis.content, pinned: true }
+    );
+  }
+
+  const turns = messages.slice(analysisIndex + 1);
+  const pinnedTokens = estimateMessagesTokens(pinned);
+  const start = findRecentStart(turns, Math.max(0, budget - pinnedTokens - SUMMARY_TOKENS));
+  const recent = turns.slice(start).map(toApiMessage);
+
+  if (start > 0) {
+    const running = await getRunningSummary(turns.slice(0, start), memory, redactions, options);
+    memory = running.memory;
+
+    if (running.summary && pinned.length > 0) {
+      pinned[1].content += `\n\n---\nSummary of our conversation since this analysis:\n${running.summary}`;
+    } else if (running.summary) {
+      pinned.push({ role: 'user', content: `Summary of our conversation so far:\n${running.summary}`, pinned: true });
+    }
+  }
+
+  if (memory !== storedMemory && (memory.summary || memory.digest)) {
+    setConversationMemory(memory);
+  }
+
+  return [...pinned, ...recent];
+}
@@ -0,0 +1,57 @@
+/**
+ * DOCX Reader
+ * Extracts text from Word transcripts, keeping table rows as tab-delimited lines
+ */
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' ',
+};
+
+/**
+ * Extracts text from a .docx file
+ * @param {File} file - Word document
+ * @returns {Promise<Object>} - { text, pageCount, ocr }
+ */
+export async function extractDocx(file) {
+  // Loaded on demand; mammoth is only needed for Word uploads
+  const mammoth = await import('mammoth');
+  const arrayBuffer = await file.arrayBuffer();
+
+  let html;
+  try {
+    const result = await mammoth.convertToHtml({ arrayBuffer });
+    html = result.value;
+  } catch (error) {
+    throw new Error(`Could not read the Word document: ${error.message}`);
+  }
+
+  return {
+    text: htmlToText(html),
+    pageCount: null,
+    ocr: null,
+  };
+}
+
+/**
+ * Converts mammoth's simple HTML output to plain text
+ * Done with string replacement rather than DOMParser so it also works inside workers.
+ * @param {string} html - HTML produced by mammoth
+ * @returns {string} - Plain text with one table row per line
+ */
+function htmlToText(html) {
+  return html
+    // Cells wrap their text in paragraphs; keep each cell on its row
+    .replace(/<(td|th)\b[^>]*>([\s\S]*?)<\/\1>/gi, (match, tag, inner) => `${inner.replace(/<\/p>|<br\s*\/?>/gi, ' ')}\t`)
+    .replace(/<\/(tr|p|h[1-6]|li)>|<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity) => HTML_ENTITIES[entity])
+    .replace(/[ \t]*\t[ \t]*/g, '\t')
+    .replace(/\t+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,163 @@
+/**
+ * File Reader Registry
+ * Dispatches uploaded transcripts to a reader based on MIME type or extension
+ * Every reader resolves to the same shape: { text, pageCount, ocr }
+ */
+
+import { extractPDF } from './pdf-reader';
+import { extractImage } from './image-reader';
+import { extractDocx } from './docx-reader';
+import { extractCSV, extractXLSX } from './spreadsheet-reader';
+import { extractPlainText } from './text-reader';
+
+/**
+ * Reader structure:
+ * {
+ *   id: string,
+ *   label: string,                 // Shown in the list of supported formats
+ *   mimeTypes: Array<string>,
+ *   extensions: Array<string>,     // Lower-case, with leading dot
+ *   read: (file, options) => Promise<{ text, pageCount, ocr }>
+ * }
+ */
+const readers = [];
+
+/**
+ * Registers a reader; later registrations take precedence over earlier ones
+ * @param {Object} reader - Reader definition
+ */
+export function registerReader(reader) {
+  if (!reader?.id || typeof reader.read !== 'function') {
+    throw new Error('A reader requires an id and a read function');
+  }
+
+  const existing = readers.findIndex(r => r.id === reader.id);
+  if (existing !== -1) {
+    readers.splice(existing, 1);
+  }
+
+  readers.unshift({
+    mimeTypes: [],
+    extensions: [],
+    label: reader.id,
+    ...reader,
+  });
+}
+
+/**
+ * Finds the reader for a file
+ * @param {File} file - Uploaded file
+ * @returns {Object|null} - Reader, or null if the format is not supported
+ */
+export function getReaderForFile(file) {
+  if (!file) return null;
+
+  const extension = getExtension(file.name);
+
+  return readers.find(r => file.type && r.mimeTypes.includes(file.type))
+    || readers.find(r => extension && r.extensions.includes(extension))
+    || null;
+}
+
+/**
+ * Checks whether a file can be read by any registered reader
+ * @param {File} file - Uploaded file
+ * @returns {boolean}
+ */
+export function isSupportedFile(file) {
+  return getReaderForFile(file) !== null;
+}
+
+/**
+ * Gets the value for a file input's accept attribute
+ * @returns {string} - e.g. ".pdf,application/pdf,.png,..."
+ */
+export function getAcceptedFileTypes() {
+  return [...new Set(readers.flatMap(r => [...r.extensions, ...r.mimeTypes]))].join(',');
+}
+
+/**
+ * Gets a human-readable list of supported formats
+ * @returns {string} - e.g. "PDF, images, Word (.docx), ..."
+ */
+export function getSupportedFormatsLabel() {
+  return [...readers].reverse().map(r => r.label).join(', ');
+}
+
+/**
+ * Reads a transcript file with the matching reader
+ * @param {File} file - Uploaded file
+ * @param {Object} options - Passed to the reader (e.g. onProgress, signal)
+ * @returns {Promise<Object>} - { text, pageCount, ocr, format }
+ */
+export async function readTranscriptFile(file, options = {}) {
+  const reader = getReaderForFile(file);
+  if (!reader) {
+    throw new Error(`Unsupported file type. Supported formats: ${getSupportedFormatsLabel()}.`);
+  }
+
+  options.onProgress?.({ stage: 'reading', current: 0, total: 1, progress: 0 });
+  const result = await reader.read(file, options);
+
+  return {
+    text: (result.text || '').trim(),
+    pageCount: result.pageCount ?? null,
+    ocr: result.ocr ?? null,
+    format: reader.id,
+  };
+}
+
+function getExtension(fileName = '') {
+  const index = fileName.lastIndexOf('.');
+  return index === -1 ? '' : fileName.slice(index).toLowerCase();
+}
+
+// Built-in readers, listed from most to least common
+registerReader({
+  id: 'pdf',
+  label: 'PDF',
+  mimeTypes: ['application/pdf'],
+  extensions: ['.pdf'],
+  // Layout mode keeps table rows intact (Course | Units | Grade)
+  read: (file, options) => extractPDF(file, { layout: true, ...options }),
+});
+
+registerReader({
+  id: 'image',
+  label: 'images (PNG, JPEG, WebP)',
+  mimeTypes: ['image/png', 'image/jpeg', 'image/webp', 'image/bmp', 'image/gif'],
+  extensions: ['.png', '.jpg', '.jpeg', '.webp', '.bmp', '.gif'],
+  read: extractImage,
+});
+
+registerReader({
+  id: 'docx',
+  label: 'Word (.docx)',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+  read: extractDocx,
+});
+
+registerReader({
+  id: 'xlsx',
+  label: 'Excel (.xlsx)',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  extensions: ['.xlsx'],
+  read: extractXLSX,
+});
+
+registerReader({
+  id: 'csv',
+  label: 'CSV',
+  mimeTypes: ['text/csv'],
+  extensions: ['.csv'],
+  read: extractCSV,
+});
+
+registerReader({
+  id: 'text',
+  label: 'plain text',
+  mimeTypes: ['text/plain'],
+  extensions: ['.txt'],
+  read: extractPlainText,
+});
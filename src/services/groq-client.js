@@ -1,171 +1,157 @@
 /**
  * Groq API Client
- * Handles communication with Groq API for AI responses
+ * Sends chat requests through the configured LLM provider
+ * Groq is the default provider; see llm-providers.js for the others
  */
 
-const API_URL = import.meta.env.VITE_GROQ_API_URL;
-const API_KEY = import.meta.env.VITE_GROQ_API_KEY;
-// const MODEL = 'meta-llama/llama-4-maverick-17b-128e-instruct';
-const MODEL = 'meta-llama/llama-4-scout-17b-16e-instruct';
+import { DEFAULT_MAX_TOKENS, getProvider, isProviderConfigured } from './llm-providers';
+import { getProviderSettings } from './provider-settings';
+import { withRetry } from './request-retry';
+import { estimateTokens, fitMessagesToContext } from '../utils/token-estimator';
+import { estimateCost, getModelInfo } from '../utils/model-info';
+
+const CONTINUE_PROMPT = 'Your previous response was cut off. Continue exactly where it stopped, without repeating any text or adding an introduction.';
+
+/**
+ * Builds a request that continues an interrupted response
+ * @param {Array} messages - Original messages
+ * @param {string} partial - Text received before the interruption
+ * @returns {Array} - Messages asking the model to continue
+ */
+function buildContinuationMessages(messages, partial) {
+  return [
+    ...messages,
+    { role: 'assistant', content: partial },
+    { role: 'user', content: CONTINUE_PROMPT },
+  ];
+}
 
 /**
- * Sends a request to Groq API and returns the response
+ * Sends a request to the configured provider and returns the response
  * @param {Array} messages - Array of message objects with role and content
  * @param {boolean} stream - Whether to stream the response
  * @param {Function} onChunk - Callback for streaming chunks (optional)
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops the request; aborting rejects with an AbortError
+ * @param {Function} options.onRetry - Called with the retry status before each retry wait
+ * @param {Object} options.retry - Overrides DEFAULT_RETRY_OPTIONS ({ retries, baseDelayMs, maxDelayMs })
+ * @param {Function} options.onUsage - Called once with the request's usage entry (see below), also after a stop
+ * @param {string} options.responseFormat - 'json' to ask for a JSON object (provider JSON mode)
  * @returns {Promise<string>} - Complete response text
  */
-export async function sendGroqRequest(messages, stream = false, onChunk = null) {
-  if (!API_URL || !API_KEY) {
-    throw new Error('Groq API credentials are not configured. Please check your environment variables.');
+export async function sendGroqRequest(messages, stream = false, onChunk = null, options = {}) {
+  const { signal = null, onRetry = null, retry = {}, onUsage = null, responseFormat = null } = options;
+  const settings = getProviderSettings();
+  const provider = getProvider(settings.provider);
+
+  if (!isProviderConfigured(provider, settings)) {
+    throw new Error(`${provider?.label || 'The AI provider'} is not configured. Fill in its base URL, model and API key in the AI provider settings (cog icon in the header), or switch to the SkillScope server there.`);
   }
 
   if (!Array.isArray(messages) || messages.length === 0) {
     throw new Error('Messages array is required and cannot be empty');
   }
 
-  try {
-    if (stream) {
-      return await sendStreamingRequest(messages, onChunk);
-    } else {
-      return await sendNonStreamingRequest(messages);
+  // Drop old conversation turns that do not fit, or refuse before spending anything
+  const modelInfo = getModelInfo(settings.model, provider.id);
+  const reservedTokens = Math.min(DEFAULT_MAX_TOKENS, Math.floor(modelInfo.contextWindow / 4));
+  const budget = fitMessagesToContext(messages, modelInfo.contextWindow, reservedTokens);
+
+  if (!budget.fits) {
+    throw Object.assign(new Error(
+      `This request is about ${budget.promptTokens.toLocaleString()} tokens, more than ${modelInfo.name} can take ` +
+      `(${modelInfo.contextWindow.toLocaleString()} tokens including ${reservedTokens.toLocaleString()} for the response). ` +
+      'Remove a transcript or shorten the additional context and try again.'
+    ), { code: 'context-exceeded' });
+  }
+
+  const requestMessages = budget.messages;
+
+  // A stream that drops after some text resumes from there instead of starting over
+  let received = '';
+  const handleChunk = (chunk) => {
+    received += chunk;
+    onChunk?.(chunk);
+  };
+
+  // Retries and continuations each report their own counts
+  const reported = { promptTokens: 0, completionTokens: 0, model: null, count: 0 };
+  const handleUsage = (usage) => {
+    reported.promptTokens += usage.promptTokens;
+    reported.completionTokens += usage.completionTokens;
+    reported.model = usage.model || reported.model;
+    reported.count++;
+  };
+
+  const attemptRequest = async () => {
+    const sendOptions = { stream, onChunk: handleChunk, onUsage: handleUsage, responseFormat, settings, signal };
+    if (!received) {
+      return provider.send(requestMessages, sendOptions);
     }
+    const partial = received;
+    const rest = await provider.send(buildContinuationMessages(requestMessages, partial), sendOptions);
+    return partial + rest;
+  };
+
+  let response = '';
+  try {
+    response = await withRetry(attemptRequest, { ...retry, signal, onRetry });
+    return response;
   } catch (error) {
-    if (error.response) {
-      const errorData = await error.response.json().catch(() => ({}));
-      throw new Error(errorData.error?.message || `API Error: ${error.response.status}`);
+    // Let callers tell a stop apart from a failure
+    if (signal?.aborted) throw signal.reason ?? error;
+    throw new Error(`Failed to communicate with ${provider.label}: ${error.message}`);
+  } finally {
+    if (onUsage && (reported.count > 0 || response || received)) {
+      onUsage(buildUsageEntry(reported, {
+        settings,
+        promptTokens: budget.promptTokens,
+        completionText: response || received,
+        trimmedMessages: budget.trimmedCount,
+      }));
     }
-    throw new Error(`Failed to communicate with Groq API: ${error.message}`);
-  }
-}
-
-/**
- * Sends a non-streaming request to Groq API
- * @param {Array} messages - Array of message objects
- * @returns {Promise<string>} - Response text
- */
-async function sendNonStreamingRequest(messages) {
-  const response = await fetch(`${API_URL}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${API_KEY}`,
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      messages: messages,
-      temperature: 0.7,
-      max_tokens: 8000,
-    }),
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
   }
-
-  const data = await response.json();
-  return data.choices[0]?.message?.content || '';
 }
 
 /**
- * Sends a streaming request to Groq API
- * @param {Array} messages - Array of message objects
- * @param {Function} onChunk - Callback function for each chunk
- * @returns {Promise<string>} - Complete response text
+ * Usage entry structure:
+ * {
+ *   provider: string,
+ *   model: string,
+ *   promptTokens: number,
+ *   completionTokens: number,
+ *   estimated: boolean,        // True when the provider did not report counts (e.g. stopped streams)
+ *   contextWindow: number,
+ *   cost: number|null,         // USD, null when the model's price is unknown
+ *   trimmedMessages: number,   // Old conversation messages dropped to fit the context window
+ *   timestamp: number
+ * }
  */
-async function sendStreamingRequest(messages, onChunk) {
-  const response = await fetch(`${API_URL}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${API_KEY}`,
-    },
-    body: JSON.stringify({
-      model: MODEL,
-      messages: messages,
-      temperature: 0.7,
-      max_tokens: 8000,
-      stream: true,
-    }),
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
-  }
-
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
-  let fullText = '';
-  let buffer = '';
-
-  try {
-    while (true) {
-      const { done, value } = await reader.read();
-      
-      if (done) break;
-
-      buffer += decoder.decode(value, { stream: true });
-      const lines = buffer.split('\n');
-      buffer = lines.pop() || '';
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-          
-          if (data === '[DONE]') {
-            continue;
-          }
-
-          try {
-            const json = JSON.parse(data);
-            const chunk = json.choices[0]?.delta?.content || '';
-            
-            if (chunk) {
-              fullText += chunk;
-              if (onChunk && typeof onChunk === 'function') {
-                onChunk(chunk);
-              }
-            }
-          } catch (err) {
-            // Skip invalid JSON lines
-            continue;
-          }
-        }
-      }
-    }
-
-    // Process remaining buffer
-    if (buffer.startsWith('data: ')) {
-      const data = buffer.slice(6);
-      if (data !== '[DONE]') {
-        try {
-          const json = JSON.parse(data);
-          const chunk = json.choices[0]?.delta?.content || '';
-          if (chunk) {
-            fullText += chunk;
-            if (onChunk && typeof onChunk === 'function') {
-              onChunk(chunk);
-            }
-          }
-        } catch (err) {
-          // Ignore parsing errors
-        }
-      }
-    }
-
-    return fullText;
-  } finally {
-    reader.releaseLock();
-  }
+function buildUsageEntry(reported, { settings, promptTokens, completionText, trimmedMessages }) {
+  const estimated = reported.count === 0;
+  const model = reported.model || settings.model;
+  const modelInfo = getModelInfo(model, settings.provider);
+  const usage = estimated
+    ? { promptTokens, completionTokens: estimateTokens(completionText) }
+    : { promptTokens: reported.promptTokens, completionTokens: reported.completionTokens };
+
+  return {
+    provider: settings.provider,
+    model,
+    ...usage,
+    estimated,
+    contextWindow: modelInfo.contextWindow,
+    cost: estimateCost(usage, modelInfo),
+    trimmedMessages,
+    timestamp: Date.now(),
+  };
 }
 
 /**
- * Validates Groq API configuration
+ * Validates the provider configuration
  * @returns {boolean} - True if configuration is valid
  */
 export function validateGroqConfig() {
-  return !!(API_URL && API_KEY);
+  const settings = getProviderSettings();
+  return isProviderConfigured(getProvider(settings.provider), settings);
 }
-
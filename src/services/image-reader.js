@@ -0,0 +1,37 @@
+/**
+ * Image Reader
+ * Reads photographed or scanned transcript images with the local OCR engine
+ */
+
+import { recognizeImage, terminateOCR } from './ocr-engine';
+
+/**
+ * Extracts text from an image file using OCR
+ * @param {File} file - PNG, JPEG, WebP, BMP or GIF image
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { stage: 'ocr', current, total, progress }
+ * @param {AbortSignal} options.signal - Cancels recognition when aborted
+ * @returns {Promise<Object>} - { text, pageCount, ocr }
+ */
+export async function extractImage(file, options = {}) {
+  const { onProgress = null, signal = null } = options;
+
+  try {
+    const result = await recognizeImage(
+      file,
+      (progress) => onProgress?.({ stage: 'ocr', current: 1, total: 1, progress }),
+      signal
+    );
+
+    return {
+      text: result.text,
+      pageCount: 1,
+      ocr: {
+        pages: [{ page: 1, confidence: result.confidence }],
+        confidence: result.confidence,
+      },
+    };
+  } finally {
+    await terminateOCR();
+  }
+}
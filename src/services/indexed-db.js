@@ -0,0 +1,215 @@
+/**
+ * IndexedDB Service
+ * Small promise wrapper around the app's IndexedDB database
+ * Used for data too large or too long-lived for sessionStorage (cached extractions, summaries, responses, saved sessions).
+ * In vault mode records are stored encrypted, with only their key and timestamps readable.
+ */
+
+import { isVaultEnabled, encryptValue, decryptValue } from './vault';
+
+const DB_NAME = 'transcript-analyzer';
+const DB_VERSION = 3;
+
+// Object stores and their key paths; add new stores here and bump DB_VERSION
+const STORES = {
+  extractions: { keyPath: 'key' },
+  summaries: { keyPath: 'key' },
+  responses: { keyPath: 'key' },
+  sessions: { keyPath: 'id' },
+};
+
+// Kept readable in encrypted records so records can be found, sorted and pruned while locked
+const CLEAR_FIELDS = ['createdAt', 'updatedAt'];
+
+let dbPromise = null;
+
+/**
+ * Checks whether IndexedDB can be used (it is missing in some private modes and test environments)
+ * @returns {boolean}
+ */
+export function isIndexedDBAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function openDatabase() {
+  if (!isIndexedDBAvailable()) {
+    return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(STORES).forEach(([name, options]) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, options);
+          }
+        });
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version in another tab upgrade the database
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Runs a request against one object store
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} - The request's result, once the transaction has completed
+ */
+async function runRequest(storeName, mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error || request.error);
+    transaction.onabort = () => reject(transaction.error || new Error('The database transaction was aborted.'));
+  });
+}
+
+/**
+ * Encrypts a record in vault mode
+ * @param {string} storeName - Object store name
+ * @param {Object} record - Record to store
+ * @returns {Promise<Object>} - { [keyPath], createdAt, updatedAt, sealed }, or the record itself when the vault is off
+ */
+async function sealRecord(storeName, record) {
+  if (!isVaultEnabled()) return record;
+
+  const keyPath = STORES[storeName].keyPath;
+  const clear = Object.fromEntries(CLEAR_FIELDS.filter(field => field in record).map(field => [field, record[field]]));
+  return { ...clear, [keyPath]: record[keyPath], sealed: await encryptValue(record) };
+}
+
+/**
+ * Decrypts a record stored by sealRecord; plain records are returned as they are
+ * @param {Object} record
+ * @returns {Promise<Object>}
+ */
+function openRecord(record) {
+  return record?.sealed ? decryptValue(record.sealed) : Promise.resolve(record);
+}
+
+/**
+ * Gets a record by key
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<Object|null>} - Record, or null if there is none
+ */
+export async function getRecord(storeName, key) {
+  const record = await runRequest(storeName, 'readonly', store => store.get(key));
+  return record ? openRecord(record) : null;
+}
+
+/**
+ * Gets every record of a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} - Records in key order
+ */
+export async function getAllRecords(storeName) {
+  const records = await runRequest(storeName, 'readonly', store => store.getAll());
+  return Promise.all(records.map(openRecord));
+}
+
+/**
+ * Adds or replaces a record (the key is read from the record's key path)
+ * @param {string} storeName - Object store name
+ * @param {Object} record - Record to store
+ * @returns {Promise<void>}
+ */
+export async function putRecord(storeName, record) {
+  const stored = await sealRecord(storeName, record);
+  await runRequest(storeName, 'readwrite', store => store.put(stored));
+}
+
+/**
+ * Deletes a record
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<void>}
+ */
+export async function deleteRecord(storeName, key) {
+  await runRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Deletes the oldest records beyond a limit
+ * @param {string} storeName - Object store name
+ * @param {number} maxRecords - Number of records to keep
+ * @param {string} field - Numeric field that orders records by age, e.g. 'createdAt'
+ * @returns {Promise<void>}
+ */
+export async function pruneStore(storeName, maxRecords, field = 'createdAt') {
+  // Read without decrypting; the key and timestamps are enough
+  const records = await runRequest(storeName, 'readonly', store => store.getAll());
+  if (records.length <= maxRecords) return;
+
+  const keyPath = STORES[storeName].keyPath;
+  const oldest = records
+    .sort((a, b) => (a[field] || 0) - (b[field] || 0))
+    .slice(0, records.length - maxRecords);
+  await Promise.all(oldest.map(record => deleteRecord(storeName, record[keyPath])));
+}
+
+/**
+ * Deletes every record of a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<void>}
+ */
+export async function clearStore(storeName) {
+  await runRequest(storeName, 'readwrite', store => store.clear());
+}
+
+/**
+ * Reads every record of every store, decrypted
+ * Used with replaceAllRecords to re-store data when vault mode is turned on or off.
+ * @returns {Promise<Object>} - { [storeName]: records }
+ */
+export async function exportAllRecords() {
+  const entries = await Promise.all(Object.keys(STORES).map(async name => [name, await getAllRecords(name)]));
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Replaces the contents of every store, encrypting records if the vault is on
+ * @param {Object} recordsByStore - From exportAllRecords
+ * @returns {Promise<void>}
+ */
+export async function replaceAllRecords(recordsByStore) {
+  for (const [name, records] of Object.entries(recordsByStore)) {
+    await clearStore(name);
+    for (const record of records) {
+      await putRecord(name, record);
+    }
+  }
+}
+
+/**
+ * Deletes every record of every store
+ * @returns {Promise<void>}
+ */
+export async function clearAllStores() {
+  await Promise.all(Object.keys(STORES).map(clearStore));
+}
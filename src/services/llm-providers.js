@@ -0,0 +1,363 @@
+/**
+ * LLM Provider Registry
+ * Backends that turn a chat message list into a completion
+ * Every provider resolves to the complete response text and reports streamed text through onChunk
+ * Aborting the signal rejects with an AbortError; text streamed so far has already been reported
+ * Failures worth retrying carry `status`/`retryAfterMs` or `retryable` (see request-retry.js)
+ * Token counts reported by the backend are passed to onUsage as { promptTokens, completionTokens, model }
+ */
+
+import { getRetryAfterMs } from './request-retry';
+import { estimateMessagesTokens, estimateTokens } from '../utils/token-estimator';
+
+const DEFAULT_TEMPERATURE = 0.7;
+export const DEFAULT_MAX_TOKENS = 8000;
+
+// Mock responses are streamed a few words at a time to exercise the streaming UI
+const MOCK_WORDS_PER_CHUNK = 3;
+const MOCK_CHUNK_DELAY_MS = 15;
+
+/**
+ * Provider structure:
+ * {
+ *   id: string,
+ *   label: string,
+ *   description: string,
+ *   defaults: { baseUrl, apiKey, model },
+ *   requiresApiKey: boolean,
+ *   configurable: boolean,     // false hides URL/key/model fields in the settings panel
+ *   send: (messages, { stream, onChunk, onUsage, responseFormat, settings, signal }) => Promise<string>
+ * }
+ */
+const providers = new Map();
+
+/**
+ * Registers a provider; registering an existing id replaces it
+ * @param {Object} provider - Provider definition
+ */
+export function registerProvider(provider) {
+  if (!provider?.id || typeof provider.send !== 'function') {
+    throw new Error('A provider requires an id and a send function');
+  }
+
+  providers.set(provider.id, {
+    label: provider.id,
+    description: '',
+    defaults: { baseUrl: '', apiKey: '', model: '' },
+    requiresApiKey: false,
+    configurable: true,
+    ...provider,
+  });
+}
+
+/**
+ * Gets a provider by id
+ * @param {string} id - Provider id
+ * @returns {Object|null} - Provider, or null if none is registered under that id
+ */
+export function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Gets all registered providers
+ * @returns {Array} - Array of provider objects with value, name and description
+ */
+export function getAvailableProviders() {
+  return [...providers.values()].map(provider => ({
+    value: provider.id,
+    name: provider.label,
+    description: provider.description,
+  }));
+}
+
+/**
+ * Checks whether provider settings are complete enough to send requests
+ * @param {Object} provider - Provider
+ * @param {Object} settings - { baseUrl, apiKey, model }
+ * @returns {boolean}
+ */
+export function isProviderConfigured(provider, settings) {
+  if (!provider) return false;
+  if (!provider.configurable) return true;
+  return !!(settings.baseUrl && settings.model && (!provider.requiresApiKey || settings.apiKey));
+}
+
+/**
+ * Sends a chat completion request to an OpenAI-compatible /chat/completions endpoint
+ * Used by Groq, OpenAI-style gateways and local servers (Ollama, llama.cpp)
+ * @param {Array} messages - Array of message objects
+ * @param {Object} options - { stream, onChunk, onUsage, responseFormat, signal, settings: { baseUrl, apiKey, model } }
+ * @returns {Promise<string>} - Response text
+ */
+async function sendOpenAICompatibleRequest(messages, { stream, onChunk, onUsage, responseFormat, signal, settings }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (settings.apiKey) {
+    headers.Authorization = `Bearer ${settings.apiKey}`;
+  }
+
+  let response;
+  try {
+    response = await fetch(`${settings.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: settings.model,
+        messages: messages,
+        temperature: DEFAULT_TEMPERATURE,
+        max_tokens: DEFAULT_MAX_TOKENS,
+        // Ask for a final chunk with token counts when streaming
+        ...(stream && { stream: true, stream_options: { include_usage: true } }),
+        // JSON mode: the reply is guaranteed to be a parseable object
+        ...(responseFormat === 'json' && { response_format: { type: 'json_object' } }),
+      }),
+      signal,
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    // Network failure before a response arrived
+    throw Object.assign(new Error(error.message), { retryable: true });
+  }
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw Object.assign(new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`), {
+      status: response.status,
+      retryAfterMs: getRetryAfterMs(response.headers),
+    });
+  }
+
+  if (!stream) {
+    const data = await response.json();
+    reportUsage(data, onUsage);
+    return data.choices[0]?.message?.content || '';
+  }
+
+  return readServerSentEvents(response, onChunk, onUsage, signal);
+}
+
+// Groq also repeats the counts under x_groq on the last streamed chunk
+function reportUsage(data, onUsage) {
+  const usage = data.usage || data.x_groq?.usage;
+  if (!usage || typeof onUsage !== 'function') return;
+
+  onUsage({
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    model: data.model || null,
+  });
+}
+
+/**
+ * Reads an OpenAI-style server-sent event stream
+ * @param {Response} response - Streaming fetch response
+ * @param {Function} onChunk - Callback function for each chunk
+ * @param {Function} onUsage - Callback for the token counts in the final chunk
+ * @param {AbortSignal} signal - Signal the request was made with
+ * @returns {Promise<string>} - Complete response text
+ */
+async function readServerSentEvents(response, onChunk, onUsage, signal) {
+  let usageData = null;
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let fullText = '';
+  let buffer = '';
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data: ')) return;
+
+    const data = line.slice(6);
+    if (data === '[DONE]') return;
+
+    try {
+      const json = JSON.parse(data);
+      if (json.usage || json.x_groq?.usage) usageData = json;
+
+      const chunk = json.choices?.[0]?.delta?.content || '';
+
+      if (chunk) {
+        fullText += chunk;
+        if (onChunk && typeof onChunk === 'function') {
+          onChunk(chunk);
+        }
+      }
+    } catch {
+      // Skip invalid JSON lines
+    }
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      lines.forEach(handleLine);
+    }
+
+    // Process remaining buffer
+    handleLine(buffer);
+
+    if (usageData) reportUsage(usageData, onUsage);
+    return fullText;
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    // The connection dropped mid-stream; the chunks so far were already delivered
+    throw Object.assign(new Error(`Stream interrupted: ${error.message}`), { retryable: true });
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Builds a deterministic response from the request, for offline demos
+ * Summarization requests get their input back; analysis requests get a placeholder
+ * markdown report with the requested sections (or JSON analysis) listing the courses found in the prompt.
+ */
+function buildMockResponse(messages, responseFormat) {
+  const system = messages.find(m => m.role === 'system')?.content || '';
+  const lastUser = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+
+  if (responseFormat === 'json') {
+    return JSON.stringify(buildMockAnalysis(lastUser));
+  }
+
+  if (/summariz/i.test(system)) {
+    const transcript = lastUser.match(/(?:TRANSCRIPT|PARTIAL SUMMARIES|CONVERSATION|ANALYSIS):\n([\s\S]*?)(?:\n\n[^\n]*)?$/);
+    return (transcript ? transcript[1] : lastUser).trim();
+  }
+
+  const codes = [...new Set(lastUser.match(/\b[A-Z]{2,4}\s?-?\d{3,4}[A-Z]?\b/g) || [])];
+  const isInitial = /TRANSCRIPT CONTENT|STRUCTURED TRANSCRIPT DATA/.test(lastUser);
+  const headings = lastUser.match(/^#{3,4} .+$/gm) || [];
+
+  // Answer with the sections the prompt asks for, so the output contract is met
+  if (headings.length > 0) {
+    return [
+      ...(isInitial ? ['**Mock response** - no AI model was called. This text is generated locally for demos.', ''] : []),
+      ...headings.flatMap(heading => [
+        heading,
+        /table/i.test(heading)
+          ? ['| Course | Grade | Classification | Strength |', '| --- | --- | --- | --- |', ...(codes.length > 0 ? codes : ['None found']).map(code => `| ${code} | - | General | Average |`)].join('\n')
+          : '- Placeholder text from the mock provider; switch to a real provider in Settings.',
+        '',
+      ]),
+    ].join('\n').trim();
+  }
+
+  if (!isInitial) {
+    return `**Mock response** - no AI model was called.\n\nYou asked: "${lastUser.trim().slice(0, 200)}"\n\nSwitch to a real provider in Settings to get an actual answer.`;
+  }
+
+  return [
+    '## 1. Transcript Overview',
+    '**Mock response** - no AI model was called. This text is generated locally for demos.',
+    '',
+    '## 2. Courses Found',
+    codes.length > 0 ? codes.map(code => `- ${code}`).join('\n') : '- No course codes were found in the request.',
+    '',
+    '## 3. Next Steps',
+    '- Switch to a real provider in Settings to get a full analysis.',
+  ].join('\n');
+}
+
+function buildMockAnalysis(prompt) {
+  const codes = [...new Set(prompt.match(/\b[A-Z]{2,4}\s?-?\d{3,4}[A-Z]?\b/g) || [])];
+  const note = 'Mock response - no AI model was called.';
+
+  return {
+    summary: `${note} ${codes.length} course code${codes.length === 1 ? ' was' : 's were'} found in the request.`,
+    gpa: null,
+    courses: codes.map(code => ({ code, title: code, grade: null, field: 'General', strength: 'Average' })),
+    strengths: [{ area: 'Not assessed', reason: note }],
+    weaknesses: [{ area: 'Not assessed', reason: note }],
+    careers: [{ title: 'Not assessed', rationale: note }],
+    universities: [],
+    resources: [],
+    nextSteps: ['Switch to a real provider in Settings to get a full analysis.'],
+    conclusion: note,
+  };
+}
+
+async function sendMockRequest(messages, { stream, onChunk, onUsage, responseFormat, signal }) {
+  const text = buildMockResponse(messages, responseFormat);
+  signal?.throwIfAborted();
+  const reportMockUsage = () => onUsage?.({
+    promptTokens: estimateMessagesTokens(messages),
+    completionTokens: estimateTokens(text),
+    model: 'mock',
+  });
+
+  if (!stream) {
+    reportMockUsage();
+    return text;
+  }
+
+  const words = text.split(/(?<=\s)/);
+  for (let i = 0; i < words.length; i += MOCK_WORDS_PER_CHUNK) {
+    await new Promise(resolve => setTimeout(resolve, MOCK_CHUNK_DELAY_MS));
+    signal?.throwIfAborted();
+    onChunk?.(words.slice(i, i + MOCK_WORDS_PER_CHUNK).join(''));
+  }
+  reportMockUsage();
+  return text;
+}
+
+// Built-in providers
+registerProvider({
+  id: 'groq',
+  label: 'Groq',
+  description: 'Hosted Llama models on Groq',
+  defaults: {
+    baseUrl: import.meta.env.VITE_GROQ_API_URL || '',
+    apiKey: '', // Entered in the settings panel; a build-time key would ship to every visitor
+    // model: 'meta-llama/llama-4-maverick-17b-128e-instruct',
+    model: 'meta-llama/llama-4-scout-17b-16e-instruct',
+  },
+  requiresApiKey: true,
+  send: sendOpenAICompatibleRequest,
+});
+
+registerProvider({
+  id: 'proxy',
+  label: 'SkillScope server',
+  description: 'Groq through this site\'s proxy; the API key stays on the server',
+  defaults: {
+    baseUrl: import.meta.env.VITE_CHAT_PROXY_URL || '/api',
+    apiKey: '',
+    // The proxy chooses the model; this one is only used for context and cost estimates
+    model: 'meta-llama/llama-4-scout-17b-16e-instruct',
+  },
+  configurable: false,
+  send: sendOpenAICompatibleRequest,
+});
+
+registerProvider({
+  id: 'openai-compatible',
+  label: 'OpenAI-compatible',
+  description: 'Any endpoint implementing /chat/completions (OpenAI, OpenRouter, Together, vLLM, ...)',
+  defaults: { baseUrl: 'https://api.openai.com/v1', apiKey: '', model: 'gpt-4o-mini' },
+  requiresApiKey: true,
+  send: sendOpenAICompatibleRequest,
+});
+
+registerProvider({
+  id: 'local',
+  label: 'Local server (Ollama / llama.cpp)',
+  description: 'Runs on your machine; transcript data never leaves it',
+  defaults: { baseUrl: 'http://localhost:11434/v1', apiKey: '', model: 'llama3.1' },
+  requiresApiKey: false,
+  send: sendOpenAICompatibleRequest,
+});
+
+registerProvider({
+  id: 'mock',
+  label: 'Mock (offline demo)',
+  description: 'Deterministic canned responses; no network requests',
+  defaults: { baseUrl: '', apiKey: '', model: 'mock' },
+  configurable: false,
+  send: sendMockRequest,
+});
@@ -0,0 +1,92 @@
+/**
+ * OCR Engine
+ * Runs Tesseract (WASM) entirely in the browser for image-only pages
+ * Worker, core and English language data are self-hosted (see vite.config.js)
+ */
+
+import { createWorker, OEM } from 'tesseract.js';
+
+const ASSET_BASE = `${import.meta.env.BASE_URL}tesseract`;
+const LANGUAGE = 'eng';
+
+// Tesseract spawns its worker from a blob URL, so asset paths must be absolute.
+// It only resolves them itself on the main thread, not when running inside a worker.
+const resolveAsset = (path) => new URL(`${ASSET_BASE}/${path}`, globalThis.location.href).href;
+
+let workerPromise = null;
+let progressListener = null;
+
+/**
+ * Lazily creates the shared Tesseract worker
+ * @returns {Promise<Object>} - Tesseract worker
+ */
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker(LANGUAGE, OEM.LSTM_ONLY, {
+      workerPath: resolveAsset('worker.min.js'),
+      corePath: resolveAsset('core'),
+      langPath: resolveAsset('lang'),
+      logger: (message) => {
+        if (message.status === 'recognizing text' && progressListener) {
+          progressListener(message.progress);
+        }
+      },
+    }).catch((error) => {
+      workerPromise = null;
+      throw new Error(`Failed to start the OCR engine: ${error.message}`);
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Recognizes the text in an image
+ * @param {Blob|HTMLCanvasElement|HTMLImageElement} image - Image to read
+ * @param {Function} onProgress - Called with recognition progress between 0 and 1 (optional)
+ * @param {AbortSignal} signal - Stops recognition and shuts the engine down when aborted (optional)
+ * @returns {Promise<Object>} - { text: string, confidence: number (0-100) }
+ */
+export async function recognizeImage(image, onProgress = null, signal = null) {
+  signal?.throwIfAborted();
+  const worker = await getWorker();
+
+  // The worker processes one job at a time, so a single listener is enough
+  progressListener = onProgress;
+  let onAbort = null;
+  try {
+    const recognition = worker.recognize(image);
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => {
+        // Tesseract jobs cannot be interrupted; terminating the engine is the only way to stop one
+        terminateOCR();
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    const { data } = await Promise.race([recognition, aborted]);
+    return {
+      text: (data.text || '').trim(),
+      confidence: Math.round(data.confidence || 0),
+    };
+  } finally {
+    progressListener = null;
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Shuts down the OCR worker and releases its memory
+ */
+export async function terminateOCR() {
+  if (!workerPromise) return;
+
+  const pending = workerPromise;
+  workerPromise = null;
+  try {
+    const worker = await pending;
+    await worker.terminate();
+  } catch (error) {
+    console.error('Failed to terminate OCR worker:', error);
+  }
+}
@@ -5,42 +5,374 @@
 
 import * as pdfjsLib from "pdfjs-dist";
 import pdfjsWorker from "pdfjs-dist/build/pdf.worker.min.mjs?url";
+import { recognizeImage, terminateOCR } from "./ocr-engine";
 
 // 🔥 IMPORTANT: workerSrc must be set manually in pdfjs v5
 pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorker;
 
+const DELIMITERS = {
+  tab: "\t",
+  pipe: " | ",
+};
+
+// A gap wider than this many font-heights between two items starts a new cell
+const CELL_GAP_RATIO = 1.2;
+// A gap wider than this many font-heights inside a cell is rendered as a space
+const WORD_GAP_RATIO = 0.15;
+// Cell starts within this many font-heights of each other belong to the same column
+const COLUMN_TOLERANCE_RATIO = 1.5;
+// A column must appear in at least this share of the multi-cell lines on a page
+const MIN_COLUMN_SHARE = 0.3;
+
+// Pages with fewer text-layer characters than this are treated as scanned images
+const MIN_TEXT_LAYER_CHARS = 20;
+// Render scale for OCR; ~150 DPI is a good accuracy/speed trade-off for Tesseract
+const OCR_RENDER_SCALE = 2;
+
+// Error codes attached to extraction errors so callers can react (e.g. ask for a password)
+export const PDF_ERROR_CODES = {
+  PASSWORD_REQUIRED: "password-required",
+  PASSWORD_INCORRECT: "password-incorrect",
+  CORRUPT: "corrupt",
+};
+
+// Inside a Web Worker there is no document, so pdfjs needs canvases and filters that do not touch the DOM
+const IS_WORKER = typeof document === "undefined";
+
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext("2d", { willReadFrequently: true }) };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+class NoopFilterFactory {
+  addFilter() { return "none"; }
+  addHCMFilter() { return "none"; }
+  addAlphaFilter() { return "none"; }
+  addLuminosityFilter() { return "none"; }
+  addHighlightHCMFilter() { return "none"; }
+  destroy() {}
+}
+
+/**
+ * Extraction result structure:
+ * {
+ *   text: string,
+ *   pageCount: number,
+ *   ocr: null | {
+ *     pages: Array<{ page: number, confidence: number }>,
+ *     confidence: number // average over OCR'd pages, 0-100
+ *   }
+ * }
+ */
+
 /**
  * Extract text from a PDF using pdfjs-dist v5.4.394
+ * Pages without a text layer are rendered to a canvas and run through OCR.
  * @param {File} file
- * @returns {Promise<string>}
+ * @param {Object} options
+ * @param {boolean} options.layout - Rebuild lines and table columns from item positions (default: false)
+ * @param {string} options.delimiter - Column delimiter in layout mode: "tab" or "pipe" (default: "tab")
+ * @param {boolean} options.ocr - Run OCR on pages without a text layer (default: true)
+ * @param {Function} options.onProgress - Called with { stage: "extracting" | "ocr", current, total, progress }
+ * @param {AbortSignal} options.signal - Stops extraction between pages (and any running OCR) when aborted
+ * @param {string} options.password - Password for protected PDFs; only handed to pdfjs, never stored
+ * @returns {Promise<Object>} - Extraction result
  */
-export async function extractTextFromPDF(file) {
-  if (!file || file.type !== "application/pdf") {
+export async function extractPDF(file, options = {}) {
+  if (!isValidPDF(file)) {
     throw new Error("Invalid file type. Please upload a PDF file.");
   }
 
+  const { layout = false, delimiter = "tab", ocr = true, onProgress = null, signal = null, password = null } = options;
+  const report = (progress) => onProgress?.(progress);
+
   const arrayBuffer = await file.arrayBuffer();
 
   // Load PDF
-  const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+  const pdf = await loadDocument(arrayBuffer, password);
 
   let fullText = "";
+  const ocrPages = [];
+
+  try {
+    // Loop pages
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      signal?.throwIfAborted();
+      report({ stage: "extracting", current: pageNum, total: pdf.numPages, progress: 0 });
+
+      const page = await pdf.getPage(pageNum);
+      const textContent = await page.getTextContent();
+
+      let pageText = layout
+        ? buildLayoutText(textContent.items, DELIMITERS[delimiter] || DELIMITERS.tab)
+        : textContent.items.map((item) => item.str).join(" ");
 
-  // Loop pages
-  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-    const page = await pdf.getPage(pageNum);
-    const textContent = await page.getTextContent();
+      if (ocr && pageText.replace(/\s/g, "").length < MIN_TEXT_LAYER_CHARS) {
+        const result = await recognizePage(
+          page,
+          (progress) => report({ stage: "ocr", current: pageNum, total: pdf.numPages, progress }),
+          signal
+        );
+        pageText = result.text;
+        ocrPages.push({ page: pageNum, confidence: result.confidence });
+      }
 
-    const pageText = textContent.items.map((item) => item.str).join(" ");
-    fullText += pageText + "\n\n";
+      fullText += pageText + "\n\n";
+    }
+  } finally {
+    if (ocrPages.length > 0) {
+      await terminateOCR();
+    }
+    await pdf.destroy();
   }
 
-  return fullText.trim();
+  return {
+    text: fullText.trim(),
+    pageCount: pdf.numPages,
+    ocr: ocrPages.length > 0
+      ? {
+          pages: ocrPages,
+          confidence: Math.round(ocrPages.reduce((sum, p) => sum + p.confidence, 0) / ocrPages.length),
+        }
+      : null,
+  };
+}
+
+/**
+ * Extract text from a PDF using pdfjs-dist v5.4.394
+ * @param {File} file
+ * @param {Object} options - See extractPDF
+ * @returns {Promise<string>}
+ */
+export async function extractTextFromPDF(file, options = {}) {
+  const result = await extractPDF(file, options);
+  return result.text;
+}
+
+/**
+ * Checks whether an extraction error means the PDF needs a (different) password
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isPasswordError(error) {
+  return error?.code === PDF_ERROR_CODES.PASSWORD_REQUIRED || error?.code === PDF_ERROR_CODES.PASSWORD_INCORRECT;
+}
+
+/**
+ * Opens a PDF, answering pdfjs's password callback with the supplied password
+ * pdfjs asks again with INCORRECT_PASSWORD when the password is wrong; instead of
+ * looping, loading is stopped so the caller can prompt the user and retry.
+ * @param {ArrayBuffer} data - PDF bytes
+ * @param {string|null} password - Password to try, if any
+ * @returns {Promise<Object>} - pdfjs document proxy
+ */
+async function loadDocument(data, password) {
+  const loadingTask = pdfjsLib.getDocument({
+    data,
+    ...(IS_WORKER && {
+      CanvasFactory: OffscreenCanvasFactory,
+      FilterFactory: NoopFilterFactory,
+      disableFontFace: true,
+    }),
+  });
+
+  let passwordError = null;
+
+  loadingTask.onPassword = (updatePassword, reason) => {
+    if (reason === pdfjsLib.PasswordResponses.NEED_PASSWORD && password) {
+      updatePassword(password);
+      return;
+    }
+
+    passwordError = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD
+      ? createPDFError("Incorrect password. Please try again.", PDF_ERROR_CODES.PASSWORD_INCORRECT)
+      : createPDFError("This PDF is password-protected. Enter its password to open it.", PDF_ERROR_CODES.PASSWORD_REQUIRED);
+    updatePassword(passwordError);
+  };
+
+  try {
+    return await loadingTask.promise;
+  } catch (error) {
+    if (passwordError) throw passwordError;
+    if (error?.name === "InvalidPDFException") {
+      throw createPDFError("This PDF could not be opened. The file may be damaged or not a real PDF.", PDF_ERROR_CODES.CORRUPT);
+    }
+    throw error;
+  }
+}
+
+function createPDFError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Renders a page to an image and runs it through the OCR engine
+ * @param {Object} page - pdfjs page proxy
+ * @param {Function} onProgress - Recognition progress callback (0-1)
+ * @param {AbortSignal} signal - Cancels recognition when aborted
+ * @returns {Promise<Object>} - { text, confidence }
+ */
+async function recognizePage(page, onProgress, signal) {
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+  const width = Math.ceil(viewport.width);
+  const height = Math.ceil(viewport.height);
+
+  const canvas = typeof OffscreenCanvas !== "undefined"
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement("canvas"), { width, height });
+
+  await page.render({ canvas, viewport }).promise;
+
+  const image = canvas.convertToBlob
+    ? await canvas.convertToBlob({ type: "image/png" })
+    : await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+
+  return recognizeImage(image, onProgress, signal);
+}
+
+/**
+ * Rebuilds the visual layout of a page from positioned text items
+ * Items are grouped into lines by y-coordinate, ordered by x and split into
+ * cells; cells are then aligned to the column boundaries detected on the page.
+ * @param {Array} items - textContent.items from pdfjs
+ * @param {string} delimiter - String placed between columns
+ * @returns {string} - One line of text per visual row
+ */
+function buildLayoutText(items, delimiter) {
+  const positioned = items
+    .filter((item) => item.str && item.str.trim())
+    .map((item) => {
+      const [, , c, d, x, y] = item.transform;
+      const fontHeight = item.height || Math.hypot(c, d) || 10;
+      return { text: item.str, x, y, width: item.width, fontHeight };
+    });
+
+  if (positioned.length === 0) return "";
+
+  const lines = groupIntoLines(positioned).map(splitIntoCells);
+  const columns = detectColumns(lines);
+
+  return lines
+    .map((cells) => {
+      if (cells.length < 2 || columns.length < 2) {
+        return cells.map((cell) => cell.text).join(" ");
+      }
+      const row = alignToColumns(cells, columns);
+      while (row.length > 1 && !row[row.length - 1]) row.pop();
+      return row.join(delimiter);
+    })
+    .join("\n");
+}
+
+/**
+ * Groups items whose baselines are close together into lines (top to bottom)
+ */
+function groupIntoLines(items) {
+  // PDF y-coordinates grow upwards, so the first line has the largest y
+  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+
+  sorted.forEach((item) => {
+    const line = lines[lines.length - 1];
+    const tolerance = Math.max(2, item.fontHeight * 0.5);
+
+    if (line && Math.abs(line.y - item.y) <= tolerance) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, items: [item] });
+    }
+  });
+
+  return lines.map((line) => line.items.sort((a, b) => a.x - b.x));
+}
+
+/**
+ * Merges the items of one line into cells separated by wide horizontal gaps
+ */
+function splitIntoCells(lineItems) {
+  const cells = [];
+
+  lineItems.forEach((item) => {
+    const cell = cells[cells.length - 1];
+    const gap = cell ? item.x - cell.end : Infinity;
+
+    if (cell && gap < item.fontHeight * CELL_GAP_RATIO) {
+      const separator = gap > item.fontHeight * WORD_GAP_RATIO && !cell.text.endsWith(" ") ? " " : "";
+      cell.text += separator + item.text;
+      cell.end = Math.max(cell.end, item.x + item.width);
+    } else {
+      cells.push({ text: item.text, x: item.x, end: item.x + item.width, fontHeight: item.fontHeight });
+    }
+  });
+
+  return cells.map((cell) => ({ ...cell, text: cell.text.trim() }));
+}
+
+/**
+ * Detects column start positions shared by the multi-cell lines of a page
+ * @returns {Array<number>} - Sorted x-coordinates of column starts
+ */
+function detectColumns(lines) {
+  const tableLines = lines.filter((cells) => cells.length > 1);
+  if (tableLines.length === 0) return [];
+
+  const clusters = [];
+  tableLines.flat().forEach((cell) => {
+    const tolerance = cell.fontHeight * COLUMN_TOLERANCE_RATIO;
+    const cluster = clusters.find((c) => Math.abs(c.x - cell.x) <= tolerance);
+
+    if (cluster) {
+      cluster.x = (cluster.x * cluster.count + cell.x) / (cluster.count + 1);
+      cluster.count++;
+    } else {
+      clusters.push({ x: cell.x, count: 1 });
+    }
+  });
+
+  const minCount = Math.max(2, Math.ceil(tableLines.length * MIN_COLUMN_SHARE));
+
+  return clusters
+    .filter((cluster) => cluster.count >= minCount)
+    .map((cluster) => cluster.x)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Places each cell in the column it starts in, leaving empty strings for gaps
+ */
+function alignToColumns(cells, columns) {
+  const row = columns.map(() => "");
+
+  cells.forEach((cell) => {
+    let index = 0;
+    columns.forEach((columnX, i) => {
+      if (cell.x >= columnX - cell.fontHeight) index = i;
+    });
+    row[index] = row[index] ? `${row[index]} ${cell.text}` : cell.text;
+  });
+
+  return row;
 }
 
 /**
  * Validates PDF file
+ * Some systems report an empty MIME type, so the .pdf extension is accepted too
  */
 export function isValidPDF(file) {
-  return file && file.type === "application/pdf";
+  if (!file) return false;
+  return file.type === "application/pdf" || (!file.type && /\.pdf$/i.test(file.name || ""));
 }
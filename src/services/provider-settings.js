@@ -0,0 +1,91 @@
+/**
+ * Provider Settings
+ * Resolves which LLM provider to use and how to reach it
+ * Settings come from, in order: an in-memory override (used inside the pipeline
+ * worker, which has no localStorage), the settings panel (localStorage), then
+ * the provider's defaults. No API key is ever taken from the build.
+ */
+
+import { getProvider } from './llm-providers';
+
+const STORAGE_KEY = 'transcript-analyzer-provider';
+// Until the user picks another provider, requests go through the server-side proxy
+const DEFAULT_PROVIDER = 'proxy';
+
+let overrideSettings = null;
+
+/**
+ * Stored settings structure:
+ * {
+ *   provider: string,
+ *   providers: { [providerId]: { baseUrl, apiKey, model } }  // Per provider, so switching back keeps its values
+ * }
+ */
+function readStoredSettings() {
+  if (typeof localStorage === 'undefined') return null;
+
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gets the stored settings for every provider, for the settings panel
+ * @returns {Object} - { provider, providers }
+ */
+export function getStoredProviderSettings() {
+  const stored = readStoredSettings();
+  return {
+    provider: stored?.provider || DEFAULT_PROVIDER,
+    providers: stored?.providers || {},
+  };
+}
+
+/**
+ * Resolves the settings for a provider, filling blank fields from its defaults
+ * @param {string} providerId - Provider id
+ * @param {Object} values - { baseUrl, apiKey, model }
+ * @returns {Object} - { provider, baseUrl, apiKey, model }
+ */
+export function resolveProviderSettings(providerId, values = {}) {
+  const provider = getProvider(providerId) || getProvider(DEFAULT_PROVIDER);
+  const resolved = { provider: provider.id, ...provider.defaults };
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (typeof value === 'string' && value.trim()) {
+      resolved[key] = value.trim();
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Gets the active provider settings
+ * @returns {Object} - { provider, baseUrl, apiKey, model }
+ */
+export function getProviderSettings() {
+  if (overrideSettings) return overrideSettings;
+
+  const { provider, providers } = getStoredProviderSettings();
+  return resolveProviderSettings(provider, providers[provider]);
+}
+
+/**
+ * Saves settings from the settings panel
+ * @param {Object} settings - { provider, providers }
+ */
+export function saveProviderSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Uses the given settings instead of stored ones for this context
+ * The pipeline worker receives the main thread's settings with each job.
+ * @param {Object|null} settings - Resolved settings, or null to go back to stored ones
+ */
+export function setProviderSettingsOverride(settings) {
+  overrideSettings = settings || null;
+}
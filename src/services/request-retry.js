@@ -0,0 +1,151 @@
+/**
+ * Request Retry
+ * Retries transient provider failures with jittered exponential backoff
+ * Rate-limit responses wait for the delay the provider asks for instead.
+ */
+
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504];
+const DEFAULT_RETRIES = 3;
+
+// A missing or malformed VITE_LLM_MAX_RETRIES must not turn into unlimited retries (NaN never compares true)
+function parseRetries(value) {
+  const retries = Number(value);
+  return value != null && String(value).trim() !== '' && Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_RETRIES;
+}
+
+export const DEFAULT_RETRY_OPTIONS = {
+  retries: parseRetries(import.meta.env.VITE_LLM_MAX_RETRIES),
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 1000,
+};
+
+/**
+ * Retry status structure (passed to onRetry):
+ * {
+ *   reason: 'rate-limit' | 'server' | 'network',
+ *   attempt: number,       // Retry about to be made (1-based)
+ *   maxAttempts: number,   // Total retries allowed
+ *   delayMs: number,
+ *   retryAt: number,       // Timestamp the retry starts, for countdowns
+ *   message: string        // Error that caused the retry
+ * }
+ */
+
+/**
+ * Parses a rate-limit header into milliseconds
+ * Accepts seconds ("12"), HTTP dates and Groq's durations ("1m30.5s", "250ms")
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} - Delay in ms, or null if the value is not understood
+ */
+export function parseRetryHeader(value, now = Date.now()) {
+  if (!value) return null;
+  const trimmed = value.trim();
+
+  if (/^\d+(?:\.\d+)?$/.test(trimmed)) {
+    return Math.round(parseFloat(trimmed) * 1000);
+  }
+
+  const duration = trimmed.match(/^(?:(\d+)h)?(?:(\d+)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/);
+  if (duration && duration.slice(1).some(Boolean)) {
+    const [, h = 0, m = 0, sec = 0, ms = 0] = duration;
+    return Math.round(h * 3600000 + m * 60000 + sec * 1000 + Number(ms));
+  }
+
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Reads the delay a response asks for before the next request
+ * @param {Headers} headers - Response headers
+ * @returns {number|null} - Delay in ms
+ */
+export function getRetryAfterMs(headers) {
+  const delays = ['retry-after', 'x-ratelimit-reset-requests', 'x-ratelimit-reset-tokens']
+    .map(name => parseRetryHeader(headers.get(name)))
+    .filter(delay => delay !== null);
+
+  // Retry-After is authoritative when present; otherwise wait for the later reset
+  return delays.length > 0 ? (parseRetryHeader(headers.get('retry-after')) ?? Math.max(...delays)) : null;
+}
+
+/**
+ * Checks whether a failed request is worth retrying
+ * @param {Error} error - Error from a provider
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error?.name === 'AbortError') return false;
+  return !!error?.retryable || RETRYABLE_STATUSES.includes(error?.status);
+}
+
+function getRetryReason(error) {
+  if (error.status === 429) return 'rate-limit';
+  return error.status ? 'server' : 'network';
+}
+
+/**
+ * Gets the delay before a retry
+ * @param {Error} error - Error that caused the retry
+ * @param {number} attempt - Retry number (1-based)
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} - Delay in ms
+ */
+export function getRetryDelay(error, attempt, { baseDelayMs, maxDelayMs } = DEFAULT_RETRY_OPTIONS) {
+  if (error.retryAfterMs != null) {
+    return Math.min(error.retryAfterMs, maxDelayMs);
+  }
+
+  // Equal jitter: between half and all of the exponential cap, so clients do not retry in lockstep
+  // while each wait still grows with the attempt
+  const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(cap / 2 + Math.random() * cap / 2);
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs a request, retrying transient failures
+ * @param {Function} attemptRequest - (attempt) => Promise; attempt is 0 for the first try
+ * @param {Object} options - { retries, baseDelayMs, maxDelayMs, signal, onRetry }
+ * @returns {Promise<*>} - Result of the first successful attempt
+ */
+export async function withRetry(attemptRequest, options = {}) {
+  const { signal = null, onRetry = null, ...retryOptions } = options;
+  const { retries, ...delayOptions } = { ...DEFAULT_RETRY_OPTIONS, ...retryOptions };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await attemptRequest(attempt);
+    } catch (error) {
+      if (signal?.aborted || attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delayMs = getRetryDelay(error, attempt + 1, delayOptions);
+      onRetry?.({
+        reason: getRetryReason(error),
+        attempt: attempt + 1,
+        maxAttempts: retries,
+        delayMs,
+        retryAt: Date.now() + delayMs,
+        message: error.message,
+      });
+      await wait(delayMs, signal);
+    }
+  }
+}
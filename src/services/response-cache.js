@@ -0,0 +1,83 @@
+/**
+ * Response Cache Service
+ * Opt-in local cache of initial analyses, so repeating an identical request is instant and free
+ * Entries are keyed by a SHA-256 of the request messages (without the conversation
+ * history) plus the provider, endpoint, model and output format; any change to the
+ * transcript, tone, method, context or redactions is a different request.
+ */
+
+import { getRecord, putRecord, pruneStore, clearStore } from './indexed-db';
+import { getProviderSettings } from './provider-settings';
+import { DEFAULT_MAX_TOKENS } from './llm-providers';
+import { hashText } from './transcript-cache';
+
+const ENABLED_STORAGE_KEY = 'transcript-analyzer-response-cache';
+const MAX_RESPONSES = 30;
+
+/**
+ * Checks whether the user turned the response cache on
+ * @returns {boolean}
+ */
+export function isResponseCacheEnabled() {
+  try {
+    return localStorage.getItem(ENABLED_STORAGE_KEY) === 'true';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Turns the response cache on or off
+ * @param {boolean} enabled
+ */
+export function setResponseCacheEnabled(enabled) {
+  localStorage.setItem(ENABLED_STORAGE_KEY, String(enabled));
+}
+
+/**
+ * Builds the cache key of a request
+ * @param {Array} messages - Initial analysis messages as sent, built without the conversation history
+ * @param {string} outputFormat - 'markdown' or 'json'
+ * @returns {Promise<string>} - Hex SHA-256 digest
+ */
+export function getResponseCacheKey(messages, outputFormat) {
+  const { provider, baseUrl, model } = getProviderSettings();
+  return hashText(JSON.stringify({ messages, provider, baseUrl, model, maxTokens: DEFAULT_MAX_TOKENS, outputFormat }));
+}
+
+/**
+ * Gets a saved response
+ * @param {string} key - From getResponseCacheKey
+ * @returns {Promise<Object|null>} - { content, analysis, createdAt }, or null on a miss
+ */
+export async function getCachedResponse(key) {
+  try {
+    return await getRecord('responses', key);
+  } catch (error) {
+    console.warn('Response cache read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Saves a response
+ * @param {string} key - From getResponseCacheKey
+ * @param {Object} response - { content, analysis }
+ * @returns {Promise<void>}
+ */
+export async function cacheResponse(key, response) {
+  try {
+    await putRecord('responses', { ...response, key, createdAt: Date.now() });
+    await pruneStore('responses', MAX_RESPONSES);
+  } catch (error) {
+    console.warn('Response cache write failed:', error);
+  }
+}
+
+/**
+ * Removes all saved responses
+ * @returns {Promise<void>}
+ */
+export function clearResponseCache() {
+  return clearStore('responses');
+}
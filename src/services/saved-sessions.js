@@ -0,0 +1,131 @@
+/**
+ * Saved Sessions Service
+ * Durable, named analysis sessions stored in IndexedDB
+ * The id of the session in use is kept in localStorage so it can be restored on page load.
+ */
+
+import { getRecord, getAllRecords, putRecord, deleteRecord } from './indexed-db';
+
+const ACTIVE_SESSION_KEY = 'transcript-analyzer-active-session';
+
+/**
+ * Session structure:
+ * {
+ *   id: string,
+ *   title: string,
+ *   createdAt: number,
+ *   updatedAt: number,
+ *   transcripts: [{ fileName, institution, pageCount }],  // Metadata only; the text is not kept
+ *   tone: string,
+ *   analysisMethod: string,
+ *   outputFormat: 'markdown' | 'json',
+ *   redactions: Array,                                     // Needed to show placeholders as real values
+ *   messages: Array,                                       // Full message list as shown in the conversation
+ *   memory: Object | null                                  // Running summary and digest (see conversation-memory.js)
+ * }
+ */
+
+/**
+ * Builds a default title from the uploaded files or the first message
+ * @param {Array} transcripts - Transcript metadata
+ * @param {Array} messages - Conversation messages
+ * @returns {string}
+ */
+export function createSessionTitle(transcripts, messages) {
+  if (transcripts.length > 0) {
+    const names = transcripts.map(t => t.institution || t.fileName.replace(/\.[^.]+$/, ''));
+    return names.length > 2 ? `${names.slice(0, 2).join(', ')} +${names.length - 2}` : names.join(', ');
+  }
+
+  const firstMessage = messages.find(m => m.role === 'user')?.content || '';
+  return firstMessage.trim().slice(0, 60) || 'Untitled analysis';
+}
+
+/**
+ * Lists saved sessions, most recently updated first
+ * @returns {Promise<Array>} - Sessions
+ */
+export async function listSessions() {
+  const sessions = await getAllRecords('sessions');
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Gets a saved session
+ * @param {string} id - Session id
+ * @returns {Promise<Object|null>} - Session, or null if it was deleted
+ */
+export function getSession(id) {
+  return getRecord('sessions', id);
+}
+
+/**
+ * Creates or updates a session
+ * Fields left out are kept from the saved session, and so is a title the user gave it.
+ * @param {Object} session - Session fields, at least id; timestamps are set here
+ * @returns {Promise<Object>} - Saved session
+ */
+export async function saveSession(session) {
+  const existing = await getRecord('sessions', session.id);
+  const saved = {
+    ...existing,
+    ...session,
+    title: existing?.title || session.title,
+    createdAt: existing?.createdAt || Date.now(),
+    updatedAt: Date.now(),
+  };
+  await putRecord('sessions', saved);
+  return saved;
+}
+
+/**
+ * Renames a session
+ * @param {string} id - Session id
+ * @param {string} title - New title
+ * @returns {Promise<void>}
+ */
+export async function renameSession(id, title) {
+  const session = await getRecord('sessions', id);
+  if (!session) return;
+  await putRecord('sessions', { ...session, title: title.trim() || session.title });
+}
+
+/**
+ * Deletes a session
+ * @param {string} id - Session id
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(id) {
+  await deleteRecord('sessions', id);
+  if (getActiveSessionId() === id) {
+    setActiveSessionId(null);
+  }
+}
+
+/**
+ * Gets the id of the session that was in use
+ * @returns {string|null}
+ */
+export function getActiveSessionId() {
+  try {
+    return localStorage.getItem(ACTIVE_SESSION_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remembers the session in use, or forgets it when id is null
+ * @param {string|null} id - Session id
+ */
+export function setActiveSessionId(id) {
+  try {
+    if (id) {
+      localStorage.setItem(ACTIVE_SESSION_KEY, id);
+    } else {
+      localStorage.removeItem(ACTIVE_SESSION_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to store the active session:', error);
+  }
+}
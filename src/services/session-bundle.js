@@ -0,0 +1,216 @@
+/**
+ * Session Bundle Service
+ * Exports the open analysis as a portable JSON file and reads such files back
+ * Bundles carry a format version; older versions are migrated step by step on import.
+ */
+
+import { PROMPT_VERSION } from './transcript-cache';
+import { validateSchema } from '../utils/analysis-schema';
+import { redactValue } from '../utils/pii-redactor';
+
+const BUNDLE_FORMAT = 'transcript-analyzer-session';
+const BUNDLE_VERSION = 1;
+const MAX_ERRORS_SHOWN = 3;
+const STRIPPED_TITLE = 'Anonymized analysis';
+
+/**
+ * Bundle structure (version 1):
+ * {
+ *   format: 'transcript-analyzer-session',
+ *   version: 1,
+ *   exportedAt: string,           // ISO date
+ *   promptVersion: number,        // PROMPT_VERSION of the app that exported it
+ *   piiStripped: boolean,         // Personal details replaced with placeholders and the values left out
+ *   session: {
+ *     title: string,
+ *     transcripts: [{ fileName, text, parsed, extractionInfo }],
+ *     summary: string,            // Summarized text used for the analysis
+ *     settings: { tone, analysisMethod, outputFormat, gradingScale },
+ *     courseEdits: { changes, added, removed },
+ *     redactions: Array,
+ *     messages: Array
+ *   }
+ * }
+ */
+
+// Migrations from each older version to the next; add one here whenever BUNDLE_VERSION is bumped
+const MIGRATIONS = {};
+
+const text = { type: 'string' };
+const optionalText = { type: 'string', nullable: true };
+const anyObject = { type: 'object', fields: {} };
+
+const BUNDLE_SCHEMA = {
+  type: 'object',
+  fields: {
+    format: { type: 'enum', values: [BUNDLE_FORMAT] },
+    version: { type: 'number' },
+    exportedAt: text,
+    promptVersion: { type: 'number' },
+    piiStripped: { type: 'boolean' },
+    session: {
+      type: 'object',
+      fields: {
+        title: text,
+        transcripts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            fields: {
+              fileName: text,
+              text,
+              parsed: { ...anyObject, nullable: true },
+              extractionInfo: { ...anyObject, nullable: true },
+            },
+          },
+        },
+        summary: optionalText,
+        settings: {
+          type: 'object',
+          fields: {
+            tone: text,
+            analysisMethod: optionalText,
+            outputFormat: { type: 'enum', values: ['markdown', 'json'] },
+            gradingScale: optionalText,
+          },
+        },
+        courseEdits: {
+          type: 'object',
+          fields: {
+            changes: anyObject,
+            added: { type: 'array', items: anyObject },
+            removed: { type: 'array', items: text },
+          },
+        },
+        redactions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            fields: { id: text, type: text, value: text, placeholder: text, enabled: { type: 'boolean' } },
+          },
+        },
+        messages: {
+          type: 'array',
+          items: {
+            type: 'object',
+            fields: {
+              role: { type: 'enum', values: ['user', 'assistant'] },
+              content: text,
+              timestamp: { type: 'number' },
+              analysis: { ...anyObject, nullable: true },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Replaces every detected personal detail with its placeholder and leaves the values out
+ * File names often carry the student's name in a form detection misses ("jdoe_final.pdf"),
+ * so they become "Transcript 1.pdf" and so on wherever they appear, and the title is neutral.
+ * @param {Object} session - Bundle session
+ * @returns {Object} - Session without personal details
+ */
+function stripPersonalDetails(session) {
+  const fileNames = session.transcripts.map((t, index) => ({
+    type: 'custom',
+    value: t.fileName,
+    placeholder: `Transcript ${index + 1}${t.fileName.match(/\.[^.]+$/)?.[0] || ''}`,
+    enabled: true,
+  }));
+  const redactions = [...session.redactions.map(r => ({ ...r, enabled: true })), ...fileNames];
+  const stripped = redactValue({ ...session, redactions: [] }, redactions);
+
+  return {
+    ...stripped,
+    title: STRIPPED_TITLE,
+    transcripts: stripped.transcripts.map((t, index) => ({
+      ...t,
+      fileName: fileNames[index].placeholder,
+      parsed: t.parsed && { ...t.parsed, student: { ...t.parsed.student, name: null, id: null } },
+    })),
+  };
+}
+
+/**
+ * Builds an export bundle
+ * @param {Object} session - { title, transcripts, summary, settings, courseEdits, redactions, messages }
+ * @param {Object} options - { stripPII }
+ * @returns {Object} - Bundle, ready for JSON.stringify
+ */
+export function createSessionBundle(session, options = {}) {
+  const { stripPII = false } = options;
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    promptVersion: PROMPT_VERSION,
+    piiStripped: stripPII,
+    session: stripPII ? stripPersonalDetails(session) : session,
+  };
+}
+
+/**
+ * Builds a file name for a bundle from its title
+ * @param {string} title - Session title
+ * @returns {string} - e.g. "university-of-lagos-2026-10-19.json"
+ */
+export function getBundleFileName(title) {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50) || 'analysis';
+  return `${slug}-${new Date().toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Brings a bundle up to BUNDLE_VERSION
+ * @param {Object} bundle - Parsed bundle of any supported version
+ * @returns {Object} - Bundle in the current format
+ */
+function migrateBundle(bundle) {
+  if (typeof bundle.version !== 'number') {
+    throw new Error('This file has no format version.');
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new Error('This file was exported by a newer version of the app. Update the app and try again.');
+  }
+
+  let migrated = bundle;
+  while (migrated.version < BUNDLE_VERSION) {
+    const migrate = MIGRATIONS[migrated.version];
+    if (!migrate) {
+      throw new Error(`Files in format version ${migrated.version} can no longer be imported.`);
+    }
+    migrated = { ...migrate(migrated), version: migrated.version + 1 };
+  }
+  return migrated;
+}
+
+/**
+ * Reads an exported session
+ * @param {string} json - File contents
+ * @returns {Object} - Bundle in the current format
+ * @throws {Error} - When the file is not a session bundle or does not match the schema
+ */
+export function parseSessionBundle(json) {
+  let bundle;
+  try {
+    bundle = JSON.parse(json);
+  } catch {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error('This file is not an exported analysis session.');
+  }
+
+  const migrated = migrateBundle(bundle);
+  const { valid, errors } = validateSchema(migrated, BUNDLE_SCHEMA);
+  if (!valid) {
+    const listed = errors.slice(0, MAX_ERRORS_SHOWN).join('; ');
+    const more = errors.length > MAX_ERRORS_SHOWN ? ` (and ${errors.length - MAX_ERRORS_SHOWN} more)` : '';
+    throw new Error(`This session file is damaged: ${listed}${more}.`);
+  }
+  return migrated;
+}
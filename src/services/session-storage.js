@@ -1,11 +1,21 @@
 /**
  * Session Storage Service
- * Manages conversation history in sessionStorage (max 5 messages)
+ * Manages conversation history in sessionStorage
  * Automatically cleared when tab is closed
+ * What is sent to the API is chosen by conversation-memory.js, which also stores its
+ * running summary here.
+ * In vault mode the history is kept decrypted in memory while unlocked and written
+ * to sessionStorage encrypted; the read and write functions stay synchronous.
  */
 
+import { isVaultEnabled, getVaultStatus, encryptValue, decryptValue } from './vault';
+
 const STORAGE_KEY = 'transcript-analyzer-conversation';
-const MAX_MESSAGES = 5;
+const MAX_MESSAGES = 60;
+const PINNED_MESSAGES = 2; // The first exchange holds the initial analysis
+
+let vaultHistory = null; // Vault mode: the decrypted history while unlocked
+let pendingWrite = Promise.resolve(); // Vault mode: encrypted writes, in order
 
 /**
  * Message structure:
@@ -16,6 +26,45 @@ const MAX_MESSAGES = 5;
  * }
  */
 
+/**
+ * Keeps the first exchange and the most recent messages once there are more than MAX_MESSAGES
+ * @param {Array} messages
+ * @returns {Array}
+ */
+function trimMessages(messages) {
+  if (messages.length <= MAX_MESSAGES) return messages;
+  return [...messages.slice(0, PINNED_MESSAGES), ...messages.slice(-(MAX_MESSAGES - PINNED_MESSAGES))];
+}
+
+function readStoredHistory() {
+  if (isVaultEnabled()) return vaultHistory;
+
+  const stored = sessionStorage.getItem(STORAGE_KEY);
+  return stored ? JSON.parse(stored) : null;
+}
+
+function saveHistory(history) {
+  const next = { ...history, lastUpdated: Date.now() };
+
+  if (!isVaultEnabled()) {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    return;
+  }
+
+  // Nothing can be written while locked; the workspace is empty then anyway
+  if (getVaultStatus() !== 'unlocked') return;
+  vaultHistory = next;
+  pendingWrite = pendingWrite
+    .then(() => encryptValue(next))
+    .then(encrypted => {
+      // Skip writes overtaken by a newer save, a clear or a lock
+      if (vaultHistory === next) {
+        sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ encrypted }));
+      }
+    })
+    .catch(error => console.error('Failed to write encrypted session storage:', error));
+}
+
 /**
  * Adds a message to the conversation history
  * @param {string} role - 'user' or 'assistant'
@@ -38,17 +87,8 @@ export function addMessage(role, content) {
       timestamp: Date.now(),
     };
 
-    history.messages.push(newMessage);
-
-    // Keep only the last MAX_MESSAGES messages
-    if (history.messages.length > MAX_MESSAGES) {
-      history.messages = history.messages.slice(-MAX_MESSAGES);
-    }
-
-    // Update timestamp
-    history.lastUpdated = Date.now();
-
-    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+    history.messages = trimMessages([...history.messages, newMessage]);
+    saveHistory(history);
   } catch (error) {
     console.error('Failed to add message to session storage:', error);
   }
@@ -56,17 +96,17 @@ export function addMessage(role, content) {
 
 /**
  * Gets the conversation history
- * @returns {Object} - { messages: Array, lastUpdated: number }
+ * @returns {Object} - { messages: Array, memory: Object|null, lastUpdated: number }
  */
 export function getHistory() {
   try {
-    const stored = sessionStorage.getItem(STORAGE_KEY);
-    if (stored) {
-      const parsed = JSON.parse(stored);
+    const parsed = readStoredHistory();
+    if (parsed) {
       // Validate structure
       if (parsed.messages && Array.isArray(parsed.messages)) {
         return {
           messages: parsed.messages,
+          memory: parsed.memory || null,
           lastUpdated: parsed.lastUpdated || Date.now(),
         };
       }
@@ -78,29 +118,62 @@ export function getHistory() {
   // Return empty history if nothing stored or error occurred
   return {
     messages: [],
+    memory: null,
     lastUpdated: Date.now(),
   };
 }
 
 /**
- * Gets the last N messages formatted for API
- * @param {number} count - Number of messages to retrieve (default: all, max: MAX_MESSAGES)
- * @returns {Array} - Array of message objects with role and content
+ * Stores conversation-memory.js state (running summary, analysis digest) with the history
+ * @param {Object} memory
  */
-export function getMessagesForAPI(count = MAX_MESSAGES) {
-  const history = getHistory();
-  const messages = history.messages.slice(-count);
-  
-  return messages.map(msg => ({
-    role: msg.role,
-    content: msg.content,
-  }));
+export function setConversationMemory(memory) {
+  try {
+    saveHistory({ ...getHistory(), memory });
+  } catch (error) {
+    console.error('Failed to update session storage:', error);
+  }
+}
+
+/**
+ * Replaces the history, e.g. when a saved session is resumed
+ * Pass the memory saved with those messages to keep their running summary and digest;
+ * without it they are rebuilt on the next request.
+ * @param {Array} messages - Messages with role and content
+ * @param {Object|null} memory - conversation-memory.js state for these messages
+ */
+export function replaceHistory(messages, memory = null) {
+  try {
+    saveHistory({
+      messages: trimMessages(messages
+        .filter(msg => msg.content)
+        .map(msg => ({ role: msg.role, content: msg.content.trim(), timestamp: msg.timestamp || Date.now() }))),
+      memory,
+    });
+  } catch (error) {
+    console.error('Failed to update session storage:', error);
+  }
+}
+
+/**
+ * Removes the most recent messages from the history
+ * @param {number} count - Number of messages to remove
+ */
+export function removeLastMessages(count) {
+  try {
+    const history = getHistory();
+    history.messages = history.messages.slice(0, Math.max(0, history.messages.length - count));
+    saveHistory(history);
+  } catch (error) {
+    console.error('Failed to update session storage:', error);
+  }
 }
 
 /**
  * Clears the conversation history
  */
 export function clearHistory() {
+  vaultHistory = null;
   try {
     sessionStorage.removeItem(STORAGE_KEY);
   } catch (error) {
@@ -108,6 +181,43 @@ export function clearHistory() {
   }
 }
 
+/**
+ * Vault mode: decrypts the stored history into memory after unlocking
+ * A plain history (stored before the vault was turned on) is read as it is.
+ * @returns {Promise<void>}
+ */
+export async function loadVaultHistory() {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    vaultHistory = stored?.encrypted ? await decryptValue(stored.encrypted) : stored;
+  } catch (error) {
+    console.error('Failed to read encrypted session storage:', error);
+    vaultHistory = null;
+  }
+}
+
+/**
+ * Vault mode: forgets the decrypted history when locking
+ */
+export function forgetVaultHistory() {
+  vaultHistory = null;
+}
+
+/**
+ * Stores a history again under the current vault mode, e.g. after it was turned on or off
+ * @param {Object} history - From getHistory
+ * @returns {Promise<void>} - Resolves once written
+ */
+export function rewriteHistory(history) {
+  try {
+    saveHistory(history);
+    if (!isVaultEnabled()) vaultHistory = null;
+  } catch (error) {
+    console.error('Failed to update session storage:', error);
+  }
+  return pendingWrite;
+}
+
 /**
  * Gets the number of messages in history
  * @returns {number} - Message count
@@ -0,0 +1,117 @@
+/**
+ * Spreadsheet Reader
+ * Reads CSV and Excel exports of transcripts as tab-delimited rows
+ */
+
+/**
+ * Extracts rows from a .csv file
+ * @param {File} file - CSV file
+ * @returns {Promise<Object>} - { text, pageCount, ocr }
+ */
+export async function extractCSV(file) {
+  const content = await file.text();
+
+  return {
+    text: rowsToText(parseCSV(content)),
+    pageCount: null,
+    ocr: null,
+  };
+}
+
+/**
+ * Extracts rows from every sheet of an .xlsx file
+ * @param {File} file - Excel workbook
+ * @returns {Promise<Object>} - { text, pageCount, ocr }
+ */
+export async function extractXLSX(file) {
+  // Loaded on demand; the universal build also works inside workers
+  const { default: readExcelFile } = await import('read-excel-file/universal');
+
+  let sheets;
+  try {
+    sheets = await readExcelFile(file);
+  } catch (error) {
+    throw new Error(`Could not read the spreadsheet: ${error.message}`);
+  }
+
+  const text = sheets
+    .map(({ sheet, data }) => {
+      const rows = rowsToText(data);
+      return sheets.length > 1 && rows ? `Sheet: ${sheet}\n${rows}` : rows;
+    })
+    .filter(Boolean)
+    .join('\n\n');
+
+  return {
+    text,
+    pageCount: sheets.length,
+    ocr: null,
+  };
+}
+
+/**
+ * Parses CSV content, including quoted fields with commas, quotes and line breaks
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} - Rows of cells
+ */
+function parseCSV(content) {
+  // Semicolon-separated exports are common in locales that use a decimal comma
+  const firstLine = content.split('\n', 1)[0];
+  const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Formats rows as tab-delimited lines, skipping empty rows
+ */
+function rowsToText(rows) {
+  return rows
+    .map(cells => cells.map(formatCell).join('\t').replace(/\t+$/, ''))
+    .filter(line => line.trim())
+    .join('\n');
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).replace(/\s+/g, ' ').trim();
+}
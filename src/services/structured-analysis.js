@@ -0,0 +1,59 @@
+/**
+ * Structured Analysis Service
+ * Requests the initial analysis as a JSON object and makes sure it matches the schema
+ * Mechanical problems are repaired locally; anything else is sent back to the
+ * model with the validation errors so it can correct its own answer.
+ */
+
+import { sendGroqRequest } from './groq-client';
+import { parseAnalysisJSON, repairAnalysis, validateAnalysis } from '../utils/analysis-schema';
+
+const MAX_CORRECTION_REQUESTS = 2;
+const MAX_ERRORS_LISTED = 10;
+
+function buildCorrectionPrompt(errors) {
+  const listed = errors.slice(0, MAX_ERRORS_LISTED).map(error => `- ${error}`).join('\n');
+  const more = errors.length > MAX_ERRORS_LISTED ? `\n- ...and ${errors.length - MAX_ERRORS_LISTED} more` : '';
+
+  return `Your JSON did not match the required shape:
+${listed}${more}
+
+Reply with the complete corrected JSON object only, keeping everything that was already valid.`;
+}
+
+/**
+ * Requests and validates a structured analysis
+ * @param {Array} messages - Messages built with outputFormat 'json'
+ * @param {Object} options - { signal, onRetry, onUsage } passed to sendGroqRequest for every request
+ * @returns {Promise<Object>} - { analysis, attempts }
+ */
+export async function requestStructuredAnalysis(messages, options = {}) {
+  const { signal = null, onRetry = null, onUsage = null } = options;
+  let request = messages;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= MAX_CORRECTION_REQUESTS + 1; attempt++) {
+    // JSON mode is not streamed; partial JSON is not worth showing
+    const raw = await sendGroqRequest(request, false, null, { signal, onRetry, onUsage, responseFormat: 'json' });
+
+    const parsed = parseAnalysisJSON(raw);
+    const analysis = parsed ? repairAnalysis(parsed) : null;
+    ({ errors } = analysis ? validateAnalysis(analysis) : { errors: ['The response was not a JSON object'] });
+
+    if (errors.length === 0) {
+      return { analysis, attempts: attempt };
+    }
+
+    console.warn(`Structured analysis attempt ${attempt} failed validation:`, errors);
+    request = [
+      ...messages,
+      { role: 'assistant', content: raw },
+      { role: 'user', content: buildCorrectionPrompt(errors) },
+    ];
+  }
+
+  throw Object.assign(
+    new Error(`The structured analysis did not match the expected format (${errors.slice(0, 3).join('; ')}). Please try again or switch to the report format.`),
+    { code: 'invalid-analysis' }
+  );
+}
@@ -0,0 +1,93 @@
+/**
+ * Tab Sync Service
+ * Keeps open tabs of the app in step through a BroadcastChannel
+ * Tabs showing the same session share new messages, clears and settings. A tab
+ * streaming a response announces it, so only one tab runs a request per session.
+ * Without BroadcastChannel support every tab works on its own.
+ */
+
+const CHANNEL_NAME = 'transcript-analyzer-sync';
+export const STREAM_HEARTBEAT_MS = 5000;
+const STREAM_EXPIRY_MS = 15000; // Announcements not repeated in time are from a tab that closed or crashed
+
+/**
+ * Message types (each also carries the sender's tabId):
+ *   { type: 'session-updated', sessionId, session }  // session: { messages, tone, analysisMethod, outputFormat, redactions, memory }
+ *   { type: 'session-cleared', sessionId }           // Cleared or deleted; tabs showing it start a new session
+ *   { type: 'sessions-changed' }                     // Saved sessions were added, renamed or deleted
+ *   { type: 'stream-started', sessionId }            // Repeated every STREAM_HEARTBEAT_MS while streaming
+ *   { type: 'stream-ended', sessionId }
+ *   { type: 'streams-requested' }                    // From a new tab; streaming tabs answer with stream-started
+ *   { type: 'settings-changed', sessionId, settings } // { responseCacheEnabled } for every tab, or any of
+ *                                                    // { tone, analysisMethod, outputFormat } for tabs showing sessionId
+ *   { type: 'vault-changed' }                        // Vault mode turned on, off or erased
+ *   { type: 'vault-locked' }                         // Locked with "Lock now"
+ */
+
+const tabId = crypto.randomUUID();
+const listeners = new Set();
+let channel = null;
+
+function getChannel() {
+  if (typeof BroadcastChannel === 'undefined') return null;
+
+  if (!channel) {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = ({ data }) => {
+      listeners.forEach(listener => listener(data));
+    };
+  }
+  return channel;
+}
+
+/**
+ * Sends a message to the other tabs
+ * @param {Object} message - { type, ... }, see above
+ */
+export function postSyncMessage(message) {
+  try {
+    getChannel()?.postMessage({ ...message, tabId });
+  } catch (error) {
+    console.warn('Could not notify other tabs:', error);
+  }
+}
+
+/**
+ * Listens for messages from the other tabs
+ * @param {Function} listener - Called with each message
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeToSync(listener) {
+  getChannel();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Applies a stream announcement to the sessions streaming in other tabs
+ * @param {Object} streams - { [sessionId]: { tabId, seenAt } }
+ * @param {Object} message - stream-started or stream-ended message
+ * @returns {Object} - Updated streams (a new object when something changed)
+ */
+export function updateRemoteStreams(streams, message) {
+  if (message.type === 'stream-started') {
+    return { ...streams, [message.sessionId]: { tabId: message.tabId, seenAt: Date.now() } };
+  }
+
+  if (message.type === 'stream-ended' && streams[message.sessionId]?.tabId === message.tabId) {
+    const { [message.sessionId]: _ended, ...rest } = streams;
+    return rest;
+  }
+  return streams;
+}
+
+/**
+ * Drops announcements that were not repeated in time
+ * @param {Object} streams - { [sessionId]: { tabId, seenAt } }
+ * @returns {Object} - Streams still running (the same object when none expired)
+ */
+export function pruneRemoteStreams(streams) {
+  const now = Date.now();
+  const live = Object.entries(streams).filter(([, stream]) => now - stream.seenAt < STREAM_EXPIRY_MS);
+  return live.length === Object.keys(streams).length ? streams : Object.fromEntries(live);
+}
@@ -0,0 +1,19 @@
+/**
+ * Text Reader
+ * Passes plain-text transcripts through unchanged
+ */
+
+/**
+ * Reads a plain-text file
+ * @param {File} file - .txt file
+ * @returns {Promise<Object>} - { text, pageCount, ocr }
+ */
+export async function extractPlainText(file) {
+  const text = await file.text();
+
+  return {
+    text: text.replace(/\r\n?/g, '\n'),
+    pageCount: null,
+    ocr: null,
+  };
+}
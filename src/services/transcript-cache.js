@@ -0,0 +1,110 @@
+/**
+ * Transcript Cache Service
+ * Keeps extractions and summaries in IndexedDB so re-uploading a file is free
+ * Extractions are keyed by the SHA-256 of the file, summaries by the SHA-256 of
+ * the (redacted) text plus the provider and model. Both keys include
+ * PROMPT_VERSION. The cache is best-effort: storage errors are logged and
+ * treated as a miss.
+ */
+
+import { getRecord, putRecord, pruneStore, clearStore } from './indexed-db';
+import { getProviderSettings } from './provider-settings';
+
+// Bump when extraction, parsing or the summarization prompts change so old entries are ignored
+export const PROMPT_VERSION = 1;
+
+// Oldest entries beyond this are removed after each write
+const MAX_ENTRIES_PER_STORE = 50;
+
+async function sha256(buffer) {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hashes the contents of a file
+ * @param {File} file - Uploaded file
+ * @returns {Promise<string>} - Hex SHA-256 digest
+ */
+export async function hashFile(file) {
+  return sha256(await file.arrayBuffer());
+}
+
+/**
+ * Hashes a text
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} - Hex SHA-256 digest
+ */
+export function hashText(text) {
+  return sha256(new TextEncoder().encode(text));
+}
+
+async function readEntry(storeName, key) {
+  try {
+    return await getRecord(storeName, key);
+  } catch (error) {
+    console.warn('Transcript cache read failed:', error);
+    return null;
+  }
+}
+
+async function writeEntry(storeName, record) {
+  try {
+    await putRecord(storeName, { ...record, createdAt: Date.now() });
+    await pruneStore(storeName, MAX_ENTRIES_PER_STORE);
+  } catch (error) {
+    console.warn('Transcript cache write failed:', error);
+  }
+}
+
+function getSummaryKey(textHash) {
+  const { provider, model } = getProviderSettings();
+  return `${textHash}:${provider}:${model}:v${PROMPT_VERSION}`;
+}
+
+/**
+ * Gets a cached extraction
+ * @param {string} fileHash - From hashFile
+ * @returns {Promise<Object|null>} - { text, pageCount, ocr, format }, or null on a miss
+ */
+export function getCachedExtraction(fileHash) {
+  return readEntry('extractions', `${fileHash}:v${PROMPT_VERSION}`);
+}
+
+/**
+ * Stores an extraction
+ * @param {string} fileHash - From hashFile
+ * @param {Object} extraction - { text, pageCount, ocr, format }
+ * @returns {Promise<void>}
+ */
+export function cacheExtraction(fileHash, extraction) {
+  return writeEntry('extractions', { ...extraction, key: `${fileHash}:v${PROMPT_VERSION}` });
+}
+
+/**
+ * Gets a cached summary made with the current provider and model
+ * @param {string} text - Text that was summarized
+ * @returns {Promise<string|null>} - Summary, or null on a miss
+ */
+export async function getCachedSummary(text) {
+  const entry = await readEntry('summaries', getSummaryKey(await hashText(text)));
+  return entry?.summary ?? null;
+}
+
+/**
+ * Stores a summary made with the current provider and model
+ * @param {string} text - Text that was summarized
+ * @param {string} summary - Summary
+ * @returns {Promise<void>}
+ */
+export async function cacheSummary(text, summary) {
+  return writeEntry('summaries', { key: getSummaryKey(await hashText(text)), summary });
+}
+
+/**
+ * Removes all cached extractions and summaries
+ * @returns {Promise<void>}
+ */
+export async function clearTranscriptCache() {
+  await Promise.all([clearStore('extractions'), clearStore('summaries')]);
+}
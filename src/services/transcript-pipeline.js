@@ -0,0 +1,121 @@
+/**
+ * Transcript Pipeline Service
+ * Main-thread client for the transcript pipeline worker
+ * Jobs report stage/page progress and can be cancelled with an AbortSignal
+ */
+
+import { getProviderSettings } from './provider-settings';
+
+let worker = null;
+let nextJobId = 1;
+const jobs = new Map(); // jobId -> { resolve, reject, onProgress }
+
+/**
+ * Progress structure:
+ * {
+ *   stage: 'reading' | 'extracting' | 'ocr' | 'summarizing' | 'merging',
+ *   current: number,   // Page or chunk being processed (1-based)
+ *   total: number,     // Number of pages or chunks
+ *   progress?: number  // 0-1 within the current page (OCR only)
+ * }
+ */
+
+/**
+ * Extracts text from a transcript file in the worker
+ * @param {File} file - Uploaded file
+ * @param {Object} options - { onProgress, signal, password }
+ * @returns {Promise<Object>} - { text, pageCount, ocr, format }
+ */
+export function extractInWorker(file, options = {}) {
+  const { password = null, ...jobOptions } = options;
+  return runJob('extract', { file, password }, jobOptions);
+}
+
+/**
+ * Summarizes transcript text in the worker
+ * @param {string} text - Transcript text
+ * @param {Object} options - { onProgress, onUsage, signal }; onUsage receives the request's usage entry
+ * @returns {Promise<Object>} - { summary, complete }; complete is false when a step fell back to truncated text
+ */
+export function summarizeInWorker(text, options = {}) {
+  return runJob('summarize', { text, providerSettings: getProviderSettings() }, options);
+}
+
+/**
+ * Checks whether an error was caused by cancelling a job
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isCancelledError(error) {
+  return error?.name === 'AbortError';
+}
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/transcript-pipeline.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = handleMessage;
+    worker.onerror = (event) => {
+      // A crashed worker cannot finish its jobs; fail them and start fresh next time
+      const error = new Error(event.message || 'The transcript processor stopped unexpectedly.');
+      jobs.forEach(job => job.reject(error));
+      jobs.clear();
+      worker.terminate();
+      worker = null;
+    };
+  }
+  return worker;
+}
+
+function handleMessage({ data }) {
+  const job = jobs.get(data.jobId);
+  if (!job) return;
+
+  if (data.type === 'progress') {
+    job.onProgress?.(data.progress);
+  } else if (data.type === 'usage') {
+    job.onUsage?.(data.usage);
+  } else if (data.type === 'result') {
+    jobs.delete(data.jobId);
+    job.resolve(data.result);
+  } else if (data.type === 'error') {
+    jobs.delete(data.jobId);
+    job.reject(Object.assign(new Error(data.message), { code: data.code }));
+  }
+}
+
+function runJob(type, payload, { onProgress = null, onUsage = null, signal = null } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(createCancelledError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const jobId = nextJobId++;
+
+    const onAbort = () => {
+      if (!jobs.has(jobId)) return;
+      jobs.delete(jobId);
+      worker?.postMessage({ type: 'cancel', jobId });
+      reject(createCancelledError());
+    };
+
+    jobs.set(jobId, {
+      onProgress,
+      onUsage,
+      resolve: (result) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(result);
+      },
+      reject: (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      },
+    });
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    getWorker().postMessage({ type, jobId, ...payload });
+  });
+}
+
+function createCancelledError() {
+  return new DOMException('Processing was cancelled.', 'AbortError');
+}
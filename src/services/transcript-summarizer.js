@@ -1,67 +1,219 @@
 /**
  * Transcript Summarizer Service
  * Summarizes long transcripts to reduce token usage
+ * Transcripts too long for one request are split into chunks on page/term
+ * boundaries, summarized a few at a time and merged into one summary (map-reduce).
  */
 
 import { sendGroqRequest } from './groq-client';
+import { estimateTokens, truncateToTokens } from '../utils/token-estimator';
+import { chunkTranscript } from '../utils/transcript-chunker';
+import { parseTranscript, getAllCourses, findCourseCodes } from '../utils/transcript-parser';
 
-const MAX_SUMMARY_LENGTH = 4000; // Target length for summary in characters
-const MAX_INPUT_LENGTH = 50000; // Max characters to send to summarization API
+const MAX_SUMMARY_TOKENS = 1000; // Target length for summary
+const MAX_INPUT_TOKENS = 12000; // Max transcript tokens per summarization request
+const SUMMARY_CONCURRENCY = 2; // Chunk requests in flight at once; kept low for rate limits
+const MAX_MERGE_ROUNDS = 3; // Rounds of group merges; anything left after that is joined as-is
 
-/**
- * Summarizes a transcript to reduce token usage
- * @param {string} transcriptText - The full transcript text
- * @returns {Promise<string>} - Summarized transcript
- */
-export async function summarizeTranscript(transcriptText) {
-  if (!transcriptText || !transcriptText.trim()) {
-    return '';
-  }
-
-  // If transcript is already short enough, return as-is
-  if (transcriptText.length <= MAX_SUMMARY_LENGTH) {
-    return transcriptText;
-  }
+const SYSTEM_PROMPT = 'You are a concise academic transcript analyzer. Extract and summarize key information efficiently.';
 
-  try {
-    // Truncate if too long to prevent API errors
-    const textToSummarize = transcriptText.length > MAX_INPUT_LENGTH
-      ? transcriptText.substring(0, MAX_INPUT_LENGTH) + '\n\n[Content truncated for processing...]'
-      : transcriptText;
+function buildSummaryPrompt(text, part = null) {
+  const partNote = part ? `\n\nThis is part ${part.index} of ${part.total} of a longer transcript; summarize only this part.` : '';
 
-    const summaryPrompt = `You are an academic transcript analyzer. Summarize the following transcript, extracting key information:
+  return `You are an academic transcript analyzer. Summarize the following transcript, extracting key information:
 
-- All courses/subjects with their grades or performance indicators
+- All courses/subjects with their grades or performance indicators (keep every course code exactly as written)
 - Overall academic performance (GPA, class rank, honors, etc.)
 - Areas of strength (subjects with high performance)
 - Areas needing improvement (subjects with lower performance)
 - Academic achievements, awards, or distinctions
 - Any notable patterns or trends
 
-Be concise but comprehensive. Focus on factual information that would be useful for career guidance and educational planning. Keep the summary under ${MAX_SUMMARY_LENGTH} characters.
+Be concise but comprehensive. Focus on factual information that would be useful for career guidance and educational planning. Keep the summary under ${Math.round(MAX_SUMMARY_TOKENS * 0.75)} words.${partNote}
 
 TRANSCRIPT:
-${textToSummarize}
+${text}
 
 Provide a structured summary that captures all essential information.`;
+}
+
+function buildMergePrompt(summaries) {
+  const parts = summaries.map((summary, i) => `--- Part ${i + 1} of ${summaries.length} ---\n${summary.trim()}`).join('\n\n');
+
+  return `The following are summaries of consecutive parts of one academic transcript. Merge them into a single summary:
+
+- Keep every course code with its grade; do not drop or rename courses
+- Combine the overall performance, strengths, weaknesses and achievements across all parts
+- Note trends over time (e.g. improvement in later terms)
+
+Keep the summary under ${Math.round(MAX_SUMMARY_TOKENS * 0.75)} words, not counting the course list.
 
+PARTIAL SUMMARIES:
+${parts}
+
+Provide a structured summary that captures all essential information.`;
+}
+
+/**
+ * Sends one summarization request
+ * Failed requests fall back to the truncated input and call onFallback; aborting rethrows.
+ * @param {string} prompt - User prompt
+ * @param {string} fallbackText - Text truncated and returned if the request fails
+ * @param {Object} options - { signal, onUsage, onFallback }
+ * @returns {Promise<string>} - Summary
+ */
+async function requestSummary(prompt, fallbackText, { signal, onUsage, onFallback }) {
+  try {
     const messages = [
-      {
-        role: 'system',
-        content: 'You are a concise academic transcript analyzer. Extract and summarize key information efficiently.',
-      },
-      {
-        role: 'user',
-        content: summaryPrompt,
-      },
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: prompt },
     ];
 
-    const summary = await sendGroqRequest(messages, false);
-    return summary.trim() || transcriptText.substring(0, MAX_SUMMARY_LENGTH);
+    const summary = await sendGroqRequest(messages, false, null, { signal, onUsage });
+    signal?.throwIfAborted();
+    return summary.trim() || truncateToTokens(fallbackText, MAX_SUMMARY_TOKENS);
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('Summarization failed:', error);
+    onFallback?.();
     // Fallback: return truncated version
-    return transcriptText.substring(0, MAX_SUMMARY_LENGTH) + '...';
+    return truncateToTokens(fallbackText, MAX_SUMMARY_TOKENS) + '...';
+  }
+}
+
+/**
+ * Runs an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Inputs
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - (item, index) => Promise
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+}
+
+/**
+ * Groups partial summaries so each group fits one merge request
+ * @param {Array} summaries - Partial summaries
+ * @returns {Array} - Arrays of summaries
+ */
+function groupForMerge(summaries) {
+  const groups = [];
+  let current = [];
+  let currentTokens = 0;
+
+  summaries.forEach(summary => {
+    const tokens = estimateTokens(summary);
+    if (current.length > 0 && currentTokens + tokens > MAX_INPUT_TOKENS) {
+      groups.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(summary);
+    currentTokens += tokens;
+  });
+  if (current.length > 0) groups.push(current);
+
+  return groups;
+}
+
+/**
+ * Merges partial summaries into one (the reduce step)
+ * @param {Array} summaries - Partial summaries in transcript order
+ * @param {Object} options - { signal, onUsage, onFallback }
+ * @returns {Promise<string>} - Merged summary
+ */
+async function mergeSummaries(summaries, options) {
+  let current = summaries;
+
+  for (let round = 0; current.length > 1 && round < MAX_MERGE_ROUNDS; round++) {
+    current = await mapWithConcurrency(groupForMerge(current), SUMMARY_CONCURRENCY, group => (
+      group.length === 1 ? group[0] : requestSummary(buildMergePrompt(group), group.join('\n\n'), options)
+    ));
   }
+
+  return current.join('\n\n');
 }
 
+/**
+ * Lists courses the summary does not mention, so no course is lost
+ * @param {string} summary - Summary text
+ * @param {Array} courses - Courses parsed from the full transcript
+ * @returns {string} - Summary, with a list of missing courses appended if needed
+ */
+function appendMissingCourses(summary, courses) {
+  const mentioned = findCourseCodes(summary);
+  const missing = courses.filter(course => !mentioned.has(course.code));
+  if (missing.length === 0) return summary;
+
+  const lines = missing.map(course => {
+    const result = course.grade ?? (course.score !== null ? String(course.score) : 'no grade');
+    const units = course.units !== null ? `, ${course.units} units` : '';
+    const term = course.term ? ` (${course.term})` : '';
+    return `- ${course.code}${course.title ? ` ${course.title}` : ''}: ${result}${units}${term}`;
+  });
+
+  return `${summary.trim()}\n\nOther courses on the transcript:\n${lines.join('\n')}`;
+}
+
+/**
+ * Summarizes a transcript to reduce token usage
+ * Every course code the parser finds in the transcript is kept in the summary.
+ * @param {string} transcriptText - The full transcript text
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with { stage: 'summarizing', current, total }, then { stage: 'merging' } for chunked transcripts
+ * @param {Function} options.onUsage - Called with the usage entry of each summarization request
+ * @param {Function} options.onFallback - Called when a request failed and truncated text was used instead
+ * @param {AbortSignal} options.signal - Stops the summarization requests when aborted
+ * @returns {Promise<string>} - Summarized transcript
+ */
+export async function summarizeTranscript(transcriptText, options = {}) {
+  const { onProgress = null, onUsage = null, onFallback = null, signal = null } = options;
+
+  if (!transcriptText || !transcriptText.trim()) {
+    return '';
+  }
+
+  // If transcript is already short enough, return as-is
+  if (estimateTokens(transcriptText) <= MAX_SUMMARY_TOKENS) {
+    return transcriptText;
+  }
+
+  const requestOptions = { signal, onUsage, onFallback };
+  const chunks = chunkTranscript(transcriptText, MAX_INPUT_TOKENS);
+  const courses = getAllCourses(parseTranscript(transcriptText));
+
+  if (chunks.length === 1) {
+    onProgress?.({ stage: 'summarizing', current: 1, total: 1 });
+    const summary = await requestSummary(buildSummaryPrompt(chunks[0]), chunks[0], requestOptions);
+    return appendMissingCourses(summary, courses);
+  }
+
+  // Map: summarize each chunk
+  let completed = 0;
+  onProgress?.({ stage: 'summarizing', current: 1, total: chunks.length });
+
+  const partials = await mapWithConcurrency(chunks, SUMMARY_CONCURRENCY, async (chunk, index) => {
+    const part = { index: index + 1, total: chunks.length };
+    const summary = await requestSummary(buildSummaryPrompt(chunk, part), chunk, requestOptions);
+    completed++;
+    onProgress?.({ stage: 'summarizing', current: Math.min(completed + 1, chunks.length), total: chunks.length });
+    return summary;
+  });
+
+  // Reduce: merge the partial summaries
+  onProgress?.({ stage: 'merging' });
+  const summary = await mergeSummaries(partials, requestOptions);
+  return appendMissingCourses(summary, courses);
+}
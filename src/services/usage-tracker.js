@@ -0,0 +1,81 @@
+/**
+ * Usage Tracker Service
+ * Keeps token usage and estimated cost for the current browser session
+ * Stored in sessionStorage next to the conversation, so it resets when the tab is closed
+ */
+
+const STORAGE_KEY = 'transcript-analyzer-usage';
+const MAX_ENTRIES = 200;
+
+/**
+ * Stored structure:
+ * {
+ *   entries: Array<UsageEntry & { purpose: 'summary' | 'analysis' | 'follow-up' | 'memory' }>
+ * }
+ * See groq-client.js for the usage entry fields.
+ */
+function readEntries() {
+  try {
+    const stored = sessionStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored).entries || [] : [];
+  } catch (error) {
+    console.error('Failed to read usage from session storage:', error);
+    return [];
+  }
+}
+
+/**
+ * Records the usage of one request
+ * @param {Object} entry - Usage entry from sendGroqRequest
+ * @param {string} purpose - 'summary', 'analysis', 'follow-up' or 'memory'
+ */
+export function recordUsage(entry, purpose) {
+  try {
+    const entries = [...readEntries(), { ...entry, purpose }].slice(-MAX_ENTRIES);
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ entries }));
+  } catch (error) {
+    console.error('Failed to record usage in session storage:', error);
+  }
+}
+
+/**
+ * Gets usage totals for the session
+ * @returns {Object} - { requests, promptTokens, completionTokens, cost, hasUnknownCost, hasEstimates, byModel, last }
+ */
+export function getUsageSummary() {
+  const entries = readEntries();
+  const byModel = {};
+
+  const summary = entries.reduce((totals, entry) => {
+    const model = byModel[entry.model] || (byModel[entry.model] = { model: entry.model, requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 });
+    model.requests++;
+    model.promptTokens += entry.promptTokens;
+    model.completionTokens += entry.completionTokens;
+    model.cost += entry.cost || 0;
+
+    totals.requests++;
+    totals.promptTokens += entry.promptTokens;
+    totals.completionTokens += entry.completionTokens;
+    totals.cost += entry.cost || 0;
+    totals.hasUnknownCost ||= entry.cost === null;
+    totals.hasEstimates ||= entry.estimated;
+    return totals;
+  }, { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0, hasUnknownCost: false, hasEstimates: false });
+
+  return {
+    ...summary,
+    byModel: Object.values(byModel),
+    last: entries[entries.length - 1] || null,
+  };
+}
+
+/**
+ * Clears the session's usage
+ */
+export function clearUsage() {
+  try {
+    sessionStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.error('Failed to clear usage from session storage:', error);
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Vault Storage Service
+ * Applies vault mode to the data the app keeps: saved sessions and caches in IndexedDB,
+ * and the conversation in sessionStorage
+ * Turning the vault on or off re-stores everything under the new mode.
+ */
+
+import { createVault, unlockVault, lockVault, removeVault } from './vault';
+import { exportAllRecords, replaceAllRecords, clearAllStores } from './indexed-db';
+import { getHistory, clearHistory, loadVaultHistory, forgetVaultHistory, rewriteHistory } from './session-storage';
+import { setActiveSessionId } from './saved-sessions';
+
+/**
+ * Turns vault mode on and encrypts everything stored so far
+ * @param {string} passphrase
+ * @param {number} autoLockMinutes
+ * @returns {Promise<void>}
+ */
+export async function enableVault(passphrase, autoLockMinutes) {
+  const history = getHistory();
+  const records = await exportAllRecords();
+
+  await createVault(passphrase, autoLockMinutes);
+  await replaceAllRecords(records);
+  await rewriteHistory(history);
+}
+
+/**
+ * Turns vault mode off and stores everything as plain data again
+ * The vault must be unlocked.
+ * @returns {Promise<void>}
+ */
+export async function disableVault() {
+  const history = getHistory();
+  const records = await exportAllRecords();
+
+  removeVault();
+  await replaceAllRecords(records);
+  await rewriteHistory(history);
+}
+
+/**
+ * Unlocks the vault and loads the conversation of this tab
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} - code 'wrong-passphrase' when the passphrase does not match
+ */
+export async function unlockVaultStorage(passphrase) {
+  await unlockVault(passphrase);
+  await loadVaultHistory();
+}
+
+/**
+ * Locks the vault once pending writes are done, and forgets decrypted data
+ * @returns {Promise<void>}
+ */
+export async function lockVaultStorage() {
+  await rewriteHistory(getHistory());
+  lockVault();
+  forgetVaultHistory();
+}
+
+/**
+ * Erases all saved data and turns vault mode off
+ * The salt and check value are deleted first, so anything the browser keeps
+ * after deletion (or a failed delete leaves behind) can no longer be decrypted.
+ * @returns {Promise<void>}
+ */
+export async function wipeVault() {
+  removeVault();
+  clearHistory();
+  setActiveSessionId(null);
+  await clearAllStores();
+}
+
+/**
+ * Forgets the key and decrypted data without writing anything
+ * Used when another tab turned the vault on, off or erased it.
+ */
+export function forgetVaultState() {
+  lockVault();
+  forgetVaultHistory();
+}
@@ -0,0 +1,204 @@
+/**
+ * Vault Service
+ * Optional passphrase encryption for everything the app stores about a transcript
+ * The key is derived with PBKDF2 (SHA-256) and used for AES-GCM. It is not extractable
+ * and only lives in memory while the vault is unlocked; localStorage holds the salt
+ * and an encrypted check value, never the passphrase or key.
+ * See vault-storage.js for turning the vault on or off for data already stored.
+ */
+
+const VAULT_STORAGE_KEY = 'transcript-analyzer-vault';
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12; // Recommended nonce size for AES-GCM
+const CHECK_VALUE = 'transcript-analyzer-vault-check';
+export const MIN_PASSPHRASE_LENGTH = 8;
+export const AUTO_LOCK_OPTIONS = [5, 15, 30, 60]; // Minutes of inactivity
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+/**
+ * Vault config structure (localStorage):
+ * {
+ *   salt: string,             // Base64
+ *   iterations: number,
+ *   check: { iv, data },      // CHECK_VALUE encrypted with the key, to recognise a wrong passphrase
+ *   autoLockMinutes: number
+ * }
+ */
+
+let vaultKey = null;
+
+function toBase64(bytes) {
+  let binary = '';
+  // Chunked so large records do not exceed the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function readConfig() {
+  try {
+    const stored = localStorage.getItem(VAULT_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeConfig(config) {
+  localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify(config));
+}
+
+function createLockedError() {
+  return Object.assign(new Error('The vault is locked. Unlock it with your passphrase.'), { code: 'vault-locked' });
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptWithKey(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+async function decryptWithKey(key, payload) {
+  const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, fromBase64(payload.data));
+  return JSON.parse(new TextDecoder().decode(data));
+}
+
+/**
+ * Checks whether vault mode is on
+ * @returns {boolean}
+ */
+export function isVaultEnabled() {
+  return readConfig() !== null;
+}
+
+/**
+ * Gets the vault state
+ * @returns {string} - 'off', 'locked' or 'unlocked'
+ */
+export function getVaultStatus() {
+  if (!isVaultEnabled()) return 'off';
+  return vaultKey ? 'unlocked' : 'locked';
+}
+
+/**
+ * Gets the minutes of inactivity after which the vault locks itself
+ * @returns {number}
+ */
+export function getAutoLockMinutes() {
+  return readConfig()?.autoLockMinutes || DEFAULT_AUTO_LOCK_MINUTES;
+}
+
+/**
+ * Changes the auto-lock delay
+ * @param {number} minutes - One of AUTO_LOCK_OPTIONS
+ */
+export function setAutoLockMinutes(minutes) {
+  const config = readConfig();
+  if (config) {
+    writeConfig({ ...config, autoLockMinutes: minutes });
+  }
+}
+
+/**
+ * Turns vault mode on with a new passphrase and leaves it unlocked
+ * Data stored before is not converted here; see enableVault in vault-storage.js.
+ * @param {string} passphrase
+ * @param {number} autoLockMinutes
+ * @returns {Promise<void>}
+ */
+export async function createVault(passphrase, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+
+  writeConfig({
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    check: await encryptWithKey(key, CHECK_VALUE),
+    autoLockMinutes,
+  });
+  vaultKey = key;
+}
+
+/**
+ * Unlocks the vault
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} - code 'wrong-passphrase' when the passphrase does not match
+ */
+export async function unlockVault(passphrase) {
+  const config = readConfig();
+  if (!config) {
+    throw new Error('Vault mode is not turned on.');
+  }
+
+  const key = await deriveKey(passphrase, fromBase64(config.salt), config.iterations);
+  let check = null;
+  try {
+    check = await decryptWithKey(key, config.check);
+  } catch {
+    // AES-GCM rejects data decrypted with the wrong key
+  }
+  if (check !== CHECK_VALUE) {
+    throw Object.assign(new Error('That passphrase is not correct.'), { code: 'wrong-passphrase' });
+  }
+  vaultKey = key;
+}
+
+/**
+ * Forgets the key; stored data stays encrypted until the next unlock
+ */
+export function lockVault() {
+  vaultKey = null;
+}
+
+/**
+ * Turns vault mode off and deletes the salt and check value
+ * Anything still encrypted with the old key can no longer be read.
+ */
+export function removeVault() {
+  vaultKey = null;
+  localStorage.removeItem(VAULT_STORAGE_KEY);
+}
+
+/**
+ * Encrypts a JSON-serializable value
+ * @param {*} value
+ * @returns {Promise<Object>} - { iv, data } in base64
+ * @throws {Error} - code 'vault-locked' when the vault is locked
+ */
+export function encryptValue(value) {
+  if (!vaultKey) return Promise.reject(createLockedError());
+  return encryptWithKey(vaultKey, value);
+}
+
+/**
+ * Decrypts a value from encryptValue
+ * @param {Object} payload - { iv, data }
+ * @returns {Promise<*>}
+ * @throws {Error} - code 'vault-locked' when the vault is locked
+ */
+export function decryptValue(payload) {
+  if (!vaultKey) return Promise.reject(createLockedError());
+  return decryptWithKey(vaultKey, payload);
+}
@@ -0,0 +1,210 @@
+/**
+ * Analysis Schema Utility
+ * Schema for the structured (JSON) analysis, with parsing, repair and validation
+ * Small type-tagged schema instead of full JSON Schema; it only needs to cover
+ * what the analysis components render.
+ */
+
+export const STRENGTH_LEVELS = ['Strong', 'Average', 'Weak'];
+
+/**
+ * Field spec: { type: 'string' | 'number' | 'boolean' | 'array' | 'object' | 'enum', nullable, minItems, items, fields, values }
+ */
+const text = { type: 'string' };
+const nullableText = { type: 'string', nullable: true };
+
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  fields: {
+    summary: text,
+    gpa: {
+      type: 'object',
+      nullable: true,
+      fields: {
+        value: { type: 'number', nullable: true },
+        scale: nullableText,
+        classification: nullableText,
+      },
+    },
+    courses: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          code: text,
+          title: text,
+          grade: nullableText,
+          field: text, // Masters discipline the course feeds into
+          strength: { type: 'enum', values: STRENGTH_LEVELS },
+        },
+      },
+    },
+    strengths: { type: 'array', minItems: 1, items: { type: 'object', fields: { area: text, reason: text } } },
+    weaknesses: { type: 'array', minItems: 1, items: { type: 'object', fields: { area: text, reason: text } } },
+    careers: { type: 'array', minItems: 1, items: { type: 'object', fields: { title: text, rationale: text } } },
+    universities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          name: text,
+          program: text,
+          scholarship: nullableText, // Scholarship name, or null for non-scholarship options
+          rationale: text,
+        },
+      },
+    },
+    resources: { type: 'array', items: { type: 'object', fields: { name: text, reason: text } } },
+    nextSteps: { type: 'array', minItems: 1, items: text },
+    conclusion: text,
+  },
+};
+
+/**
+ * Example object included in the prompt so the model sees the exact shape
+ */
+export const ANALYSIS_EXAMPLE = {
+  summary: 'string',
+  gpa: { value: 3.4, scale: '4.0 scale', classification: 'string or null' },
+  courses: [{ code: 'CSC 101', title: 'string', grade: 'A', field: 'Computer Science', strength: 'Strong | Average | Weak' }],
+  strengths: [{ area: 'string', reason: 'string' }],
+  weaknesses: [{ area: 'string', reason: 'string' }],
+  careers: [{ title: 'string', rationale: 'string' }],
+  universities: [{ name: 'string', program: 'string', scholarship: 'scholarship name or null', rationale: 'string' }],
+  resources: [{ name: 'string', reason: 'string' }],
+  nextSteps: ['string'],
+  conclusion: 'string',
+};
+
+/**
+ * Extracts the JSON object from a model response
+ * Tolerates code fences and text around the object.
+ * @param {string} text - Model response
+ * @returns {Object|null} - Parsed object, or null if no valid JSON was found
+ */
+export function parseAnalysisJSON(text) {
+  if (!text) return null;
+
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+
+  try {
+    const value = JSON.parse(unfenced.slice(start, end + 1));
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+function repairValue(value, spec) {
+  if (value === undefined || value === null) {
+    if (spec.type === 'array') return [];
+    return spec.nullable ? null : value;
+  }
+
+  switch (spec.type) {
+    case 'string':
+      return typeof value === 'number' ? String(value) : typeof value === 'string' ? value.trim() : value;
+    case 'number': {
+      if (typeof value !== 'string') return value;
+      const number = parseFloat(value);
+      return Number.isNaN(number) ? (spec.nullable ? null : value) : number;
+    }
+    case 'enum': {
+      const match = typeof value === 'string' && spec.values.find(v => v.toLowerCase() === value.trim().toLowerCase());
+      return match || value;
+    }
+    case 'array': {
+      const items = Array.isArray(value) ? value : [value];
+      return items.map(item => repairValue(item, spec.items)).filter(item => item !== '' && item != null);
+    }
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return value;
+      const repaired = {};
+      Object.entries(spec.fields).forEach(([key, fieldSpec]) => {
+        repaired[key] = repairValue(value[key], fieldSpec);
+      });
+      return repaired;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Fixes mechanical problems without guessing content
+ * Trims strings, parses numeric strings, matches enum values case-insensitively,
+ * wraps single items in arrays and drops unknown fields.
+ * @param {Object} value - Parsed analysis
+ * @returns {Object} - Repaired analysis
+ */
+export function repairAnalysis(value) {
+  return repairValue(value, ANALYSIS_SCHEMA);
+}
+
+function validateValue(value, spec, path, errors) {
+  if (value === null || value === undefined) {
+    if (!spec.nullable) errors.push(`${path} is required`);
+    return;
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') errors.push(`${path} must be a string`);
+      else if (!spec.nullable && !value.trim()) errors.push(`${path} must not be empty`);
+      break;
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) errors.push(`${path} must be a number`);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${path} must be true or false`);
+      break;
+    case 'enum':
+      if (!spec.values.includes(value)) errors.push(`${path} must be one of ${spec.values.join(', ')}`);
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${path} must be an array`);
+        break;
+      }
+      if (spec.minItems && value.length < spec.minItems) {
+        errors.push(`${path} needs at least ${spec.minItems} item${spec.minItems > 1 ? 's' : ''}`);
+      }
+      value.forEach((item, index) => validateValue(item, spec.items, `${path}[${index}]`, errors));
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path} must be an object`);
+        break;
+      }
+      Object.entries(spec.fields).forEach(([key, fieldSpec]) => {
+        validateValue(value[key], fieldSpec, path ? `${path}.${key}` : key, errors);
+      });
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Validates a value against a field spec (also used for session bundles)
+ * @param {*} value - Value to check
+ * @param {Object} spec - Field spec
+ * @returns {Object} - { valid, errors }
+ */
+export function validateSchema(value, spec) {
+  const errors = [];
+  validateValue(value, spec, '', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validates an analysis against the schema
+ * @param {Object} value - Analysis object
+ * @returns {Object} - { valid, errors }
+ */
+export function validateAnalysis(value) {
+  return validateSchema(value, ANALYSIS_SCHEMA);
+}
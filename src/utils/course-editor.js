@@ -0,0 +1,102 @@
+/**
+ * Course Editor Utility
+ * Applies the user's corrections from the review step on top of a parsed transcript
+ * Edits are kept separately from the parsed model so they survive re-merging when
+ * transcripts are added or removed.
+ */
+
+import { getGradePointsForGrade } from './grading-scales';
+
+export const COURSE_STATUSES = [
+  { value: 'completed', name: 'Completed', description: 'Counts towards the GPA' },
+  { value: 'repeated', name: 'Repeated', description: 'Attempt replaced by a later retake; excluded from the GPA' },
+  { value: 'withdrawn', name: 'Withdrawn', description: 'Dropped before completion; excluded from the GPA' },
+];
+
+/**
+ * Course edits structure:
+ * {
+ *   changes: { [courseId]: { field: value } },  // Corrections to parsed or added courses
+ *   added: Array<Course & { term: string|null }>,  // Courses the parser missed
+ *   removed: Array<string>                        // Ids of courses to drop
+ * }
+ */
+export const EMPTY_COURSE_EDITS = { changes: {}, added: [], removed: [] };
+
+/**
+ * Creates an empty course for the given term
+ * @param {string|null} term - Term label the course belongs to
+ * @returns {Object} - Course
+ */
+export function createCourse(term = null) {
+  return {
+    id: crypto.randomUUID(),
+    term,
+    code: '',
+    title: '',
+    units: null,
+    grade: null,
+    score: null,
+    gradePoints: null,
+    status: 'completed',
+  };
+}
+
+/**
+ * Checks whether any corrections have been made
+ * @param {Object} edits - Course edits
+ * @returns {boolean}
+ */
+export function hasCourseEdits(edits) {
+  return Object.keys(edits.changes).length > 0 || edits.added.length > 0 || edits.removed.length > 0;
+}
+
+/**
+ * Applies course edits to a parsed transcript
+ * When the grade changes without explicit grade points, the points are looked up
+ * on the term's grading scale again.
+ * @param {Object} parsedTranscript - Parsed transcript
+ * @param {Object} edits - Course edits
+ * @returns {Object|null} - Corrected transcript, marked with isReviewed when edits were applied
+ */
+export function applyCourseEdits(parsedTranscript, edits = EMPTY_COURSE_EDITS) {
+  if (!parsedTranscript || !hasCourseEdits(edits)) return parsedTranscript;
+
+  const applyChanges = (course, scaleId) => {
+    const change = edits.changes[course.id];
+    if (!change) return course;
+
+    const updated = { ...course, ...change };
+    if ('grade' in change && !('gradePoints' in change)) {
+      updated.gradePoints = getGradePointsForGrade(updated.grade, scaleId);
+    }
+    return updated;
+  };
+
+  const terms = parsedTranscript.terms.map(term => {
+    const scaleId = term.gradingScale || parsedTranscript.gradingScale;
+    return {
+      ...term,
+      courses: term.courses
+        .filter(course => !edits.removed.includes(course.id))
+        .map(course => applyChanges(course, scaleId)),
+    };
+  });
+
+  edits.added
+    .filter(course => !edits.removed.includes(course.id))
+    .forEach(({ term: label, ...course }) => {
+      let term = terms.find(t => t.label === label);
+      if (!term) {
+        term = { label, gradingScale: parsedTranscript.gradingScale, courses: [] };
+        terms.push(term);
+      }
+      term.courses.push(applyChanges(course, term.gradingScale || parsedTranscript.gradingScale));
+    });
+
+  return {
+    ...parsedTranscript,
+    isReviewed: true,
+    terms: terms.filter(term => term.courses.length > 0),
+  };
+}
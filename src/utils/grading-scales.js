@@ -0,0 +1,472 @@
+/**
+ * Grading Scales Utility
+ * Grading systems, scale detection, credit-weighted GPA/CGPA and conversion between scales
+ * Deterministic - no AI involved
+ */
+
+// US letter grades, best first: grade points, the lowest percentage that earns the grade and
+// its place on the shared conversion axis. Letters, score bands and equivalents all come from here.
+const US_GRADES = [
+  { letters: ['A+', 'A'], points: 4.0, minScore: 93, common: 100 },
+  { letters: ['A-'], points: 3.7, minScore: 90, common: 70 },
+  { letters: ['B+'], points: 3.3, minScore: 87, common: 60 },
+  { letters: ['B'], points: 3.0, minScore: 83, common: 50 },
+  { letters: ['B-'], points: 2.7, minScore: 80, common: 48 },
+  { letters: ['C+'], points: 2.3, minScore: 77, common: 46 },
+  { letters: ['C'], points: 2.0, minScore: 73, common: 45 },
+  { letters: ['C-'], points: 1.7, minScore: 70, common: 43 },
+  { letters: ['D+'], points: 1.3, minScore: 67, common: 41 },
+  { letters: ['D'], points: 1.0, minScore: 63, common: 40 },
+  { letters: ['D-'], points: 0.7, minScore: 60, common: 38 },
+  { letters: ['E', 'F'], points: 0, minScore: 0, common: 0 },
+];
+
+/**
+ * Scale structure:
+ * {
+ *   id: string,
+ *   name: string,
+ *   description: string,
+ *   best: number,             // Best possible value (1.0 on the German scale, where lower is better)
+ *   worst: number,
+ *   equivalents: Array,       // [[value, common]] anchors on the shared 0-100 conversion axis
+ *   letters: Object | null,   // Letter grade -> points
+ *   scoreBands: Array | null, // [{ min, points }] for percentage scores, best first
+ *   classifications: Array    // [{ threshold, label }] for the overall result, best first
+ * }
+ */
+const GRADING_SCALES = {
+  us4: {
+    id: 'us4',
+    name: 'US 4.0',
+    description: 'Letter grades A-F, 4.0 maximum',
+    best: 4.0,
+    worst: 0,
+    equivalents: US_GRADES.map(grade => [grade.points, grade.common]),
+    letters: Object.fromEntries(US_GRADES.flatMap(grade => grade.letters.map(letter => [letter, grade.points]))),
+    scoreBands: US_GRADES.map(grade => ({ min: grade.minScore, points: grade.points })),
+    classifications: [
+      { threshold: 3.9, label: 'Summa cum laude range' },
+      { threshold: 3.7, label: 'Magna cum laude range' },
+      { threshold: 3.5, label: 'Cum laude range' },
+      { threshold: 2.0, label: 'Good standing' },
+      { threshold: 0, label: 'Below good standing' },
+    ],
+  },
+  ng5: {
+    id: 'ng5',
+    name: 'Nigerian 5.0',
+    description: 'Letter grades A-F, 5.0 maximum (NUC)',
+    best: 5.0,
+    worst: 0,
+    equivalents: [[0, 0], [1.0, 40], [1.5, 45], [2.4, 50], [3.5, 60], [4.5, 70], [5.0, 100]],
+    letters: { A: 5, B: 4, C: 3, D: 2, E: 1, F: 0 },
+    scoreBands: [
+      { min: 70, points: 5 },
+      { min: 60, points: 4 },
+      { min: 50, points: 3 },
+      { min: 45, points: 2 },
+      { min: 40, points: 1 },
+      { min: 0, points: 0 },
+    ],
+    classifications: [
+      { threshold: 4.5, label: 'First Class' },
+      { threshold: 3.5, label: 'Second Class Upper' },
+      { threshold: 2.4, label: 'Second Class Lower' },
+      { threshold: 1.5, label: 'Third Class' },
+      { threshold: 1.0, label: 'Pass' },
+      { threshold: 0, label: 'Fail' },
+    ],
+  },
+  uk: {
+    id: 'uk',
+    name: 'UK degree classification',
+    description: 'Module marks out of 100, classified First to Third',
+    best: 100,
+    worst: 0,
+    equivalents: [[0, 0], [100, 100]],
+    letters: null,
+    scoreBands: null,
+    classifications: [
+      { threshold: 70, label: 'First Class Honours' },
+      { threshold: 60, label: 'Upper Second Class (2:1)' },
+      { threshold: 50, label: 'Lower Second Class (2:2)' },
+      { threshold: 40, label: 'Third Class Honours' },
+      { threshold: 0, label: 'Fail' },
+    ],
+  },
+  ects: {
+    id: 'ects',
+    name: 'ECTS',
+    description: 'European grades A-E pass, FX/F fail',
+    best: 5,
+    worst: 0,
+    equivalents: [[0, 0], [1, 40], [2, 45], [3, 50], [4, 60], [5, 75]],
+    letters: { A: 5, B: 4, C: 3, D: 2, E: 1, FX: 0, F: 0 },
+    scoreBands: [
+      { min: 90, points: 5 },
+      { min: 80, points: 4 },
+      { min: 70, points: 3 },
+      { min: 60, points: 2 },
+      { min: 50, points: 1 },
+      { min: 0, points: 0 },
+    ],
+    classifications: [
+      { threshold: 4.5, label: 'A (Excellent)' },
+      { threshold: 3.5, label: 'B (Very good)' },
+      { threshold: 2.5, label: 'C (Good)' },
+      { threshold: 1.5, label: 'D (Satisfactory)' },
+      { threshold: 1, label: 'E (Sufficient)' },
+      { threshold: 0, label: 'F (Fail)' },
+    ],
+  },
+  percentage: {
+    id: 'percentage',
+    name: 'Percentage',
+    description: 'Scores out of 100',
+    best: 100,
+    worst: 0,
+    equivalents: [[0, 0], [100, 100]],
+    letters: null,
+    scoreBands: null,
+    classifications: [],
+  },
+  german: {
+    id: 'german',
+    name: 'German 1.0-5.0',
+    description: '1.0 best, 4.0 lowest pass, 5.0 fail',
+    best: 1.0,
+    worst: 5.0,
+    equivalents: [[1.0, 100], [1.5, 70], [2.5, 60], [3.5, 50], [4.0, 40], [5.0, 0]],
+    letters: null,
+    scoreBands: null,
+    classifications: [
+      { threshold: 1.5, label: 'Sehr gut (very good)' },
+      { threshold: 2.5, label: 'Gut (good)' },
+      { threshold: 3.5, label: 'Befriedigend (satisfactory)' },
+      { threshold: 4.0, label: 'Ausreichend (sufficient)' },
+      { threshold: 5.0, label: 'Nicht ausreichend (fail)' },
+    ],
+  },
+};
+
+export const DEFAULT_GRADING_SCALE = 'us4';
+
+// Scales whose course values are the percentage marks themselves
+const MARK_SCALES = ['uk', 'percentage'];
+
+// German grades are written with a decimal comma: "1,3", "2,7"
+const NUMERIC_GRADE_REGEX = /^[1-5],\d$/;
+
+/**
+ * Gets a grading scale by id
+ * @param {string} scaleId - Scale id
+ * @returns {Object} - Scale (US 4.0 for unknown ids)
+ */
+export function getGradingScale(scaleId) {
+  return GRADING_SCALES[scaleId] || GRADING_SCALES[DEFAULT_GRADING_SCALE];
+}
+
+/**
+ * Gets all available grading scales
+ * @returns {Array} - Array of scale objects with value and name
+ */
+export function getAvailableGradingScales() {
+  return Object.values(GRADING_SCALES).map(scale => ({
+    value: scale.id,
+    name: scale.name,
+    description: scale.description,
+  }));
+}
+
+/**
+ * Reads a grade written as a number on the German scale ("1,3" -> 1.3)
+ * @param {string} grade - Grade as printed on the transcript
+ * @returns {number|null} - Numeric grade, or null for letter grades
+ */
+export function parseNumericGrade(grade) {
+  if (!grade || !NUMERIC_GRADE_REGEX.test(grade)) return null;
+  return parseFloat(grade.replace(',', '.'));
+}
+
+/**
+ * Gets the grade points a grade is worth on a scale
+ * @param {string} grade - Letter grade or German numeric grade
+ * @param {string} scaleId - Scale id
+ * @returns {number|null} - Grade points, or null if the grade is not on the scale
+ */
+export function getGradePointsForGrade(grade, scaleId) {
+  if (!grade) return null;
+
+  const letters = getGradingScale(scaleId).letters;
+  return parseNumericGrade(grade) ?? (letters && grade in letters ? letters[grade] : null);
+}
+
+/**
+ * Checks whether a course counts towards averages
+ * Repeated attempts and withdrawn courses stay on the transcript but are not averaged.
+ * @param {Object} course - Course object
+ * @returns {boolean}
+ */
+export function isCountedCourse(course) {
+  return !course.status || course.status === 'completed';
+}
+
+/**
+ * Detects the grading scale used by a transcript
+ * @param {string} text - Transcript text
+ * @param {Array} courses - Parsed courses ({ grade, score, gradePoints })
+ * @returns {string} - Scale id
+ */
+export function detectGradingScale(text = '', courses = []) {
+  const grades = courses.map(c => c.grade).filter(Boolean);
+  const maxGradePoints = Math.max(0, ...courses.map(c => c.gradePoints ?? 0));
+
+  if (grades.some(g => NUMERIC_GRADE_REGEX.test(g)) || /\b(?:Notenskala|Leistungspunkte|Gesamtnote|sehr gut|befriedigend|ausreichend)\b/i.test(text)) {
+    return 'german';
+  }
+  if (grades.includes('FX') || /\bECTS\s+(?:grade|grading)\b/i.test(text)) {
+    return 'ects';
+  }
+  if (
+    maxGradePoints > 4 ||
+    /\b(?:5(?:\.0+)?[\s-]*(?:point\s+)?scale|out of 5(?:\.0+)?|Second Class (?:Upper|Lower)|Harmattan Semester|Rain Semester|TCP|TNU)\b/i.test(text)
+  ) {
+    return 'ng5';
+  }
+  if (/\b(?:First Class Honours|Upper Second|Lower Second|Degree Classification|Module Mark)\b/i.test(text)) {
+    return 'uk';
+  }
+  if (courses.length > 0 && grades.length === 0 && courses.some(c => c.score !== null)) {
+    return 'percentage';
+  }
+
+  return DEFAULT_GRADING_SCALE;
+}
+
+/**
+ * Gets a course's value on a grading scale
+ * Letter grades are looked up first, then numeric grades, stated grade points and
+ * finally the percentage score.
+ * @param {Object} course - { grade, score, gradePoints }
+ * @param {string} scaleId - Scale the course was graded on
+ * @returns {number|null} - Value on the scale, or null for ungraded courses (P, W, I, ...)
+ */
+export function getCoursePoints(course, scaleId) {
+  const scale = getGradingScale(scaleId);
+  const isMarkScale = MARK_SCALES.includes(scale.id);
+
+  if (isMarkScale && course.score !== null && course.score !== undefined) {
+    return course.score;
+  }
+  if (scale.letters && course.grade && course.grade in scale.letters) {
+    return scale.letters[course.grade];
+  }
+
+  const numericGrade = parseNumericGrade(course.grade);
+  if (numericGrade !== null) return numericGrade;
+
+  if (!isMarkScale && course.gradePoints !== null && course.gradePoints !== undefined) {
+    return course.gradePoints;
+  }
+  if (course.score !== null && course.score !== undefined) {
+    return scoreToPoints(course.score, scale);
+  }
+
+  return null;
+}
+
+/**
+ * Gets how good a value is, measured on the shared conversion axis
+ * so it agrees with convertGrade (0.7 is a First, 0.5 a 2:2, 0.4 a pass)
+ * @param {number} value - Value on the scale
+ * @param {string} scaleId - Scale id
+ * @returns {number} - 0 (worst) to 1 (best)
+ */
+export function normalizeGrade(value, scaleId) {
+  return clamp(interpolate(value, getGradingScale(scaleId).equivalents) / 100, 0, 1);
+}
+
+/**
+ * Converts a value between grading scales
+ * Values are interpolated through a shared 0-100 axis on which the class boundaries
+ * of every scale line up (70 = First / A- / 1.5, 60 = 2:1, 50 = 2:2, 40 = pass),
+ * so a Second Class Upper converts to an Upper Second rather than a straight ratio.
+ * @param {number} value - Value on the source scale
+ * @param {string} fromId - Source scale id
+ * @param {string} toId - Target scale id
+ * @returns {number} - Value on the target scale, rounded to two decimals
+ */
+export function convertGrade(value, fromId, toId) {
+  const from = getGradingScale(fromId);
+  const to = getGradingScale(toId);
+  if (from.id === to.id) return round(value);
+
+  const common = interpolate(value, from.equivalents);
+  return round(interpolate(common, to.equivalents.map(([scaleValue, commonValue]) => [commonValue, scaleValue])));
+}
+
+/**
+ * Gets the classification of an overall result, e.g. "Second Class Upper"
+ * @param {number} value - Value on the scale
+ * @param {string} scaleId - Scale id
+ * @returns {string|null} - Classification label, or null if the scale has none
+ */
+export function classifyGrade(value, scaleId) {
+  const scale = getGradingScale(scaleId);
+  const higherIsBetter = scale.best > scale.worst;
+
+  const match = scale.classifications.find(c => (higherIsBetter ? value >= c.threshold : value <= c.threshold));
+  return match ? match.label : null;
+}
+
+/**
+ * Computes credit-weighted GPA per term and the cumulative GPA (CGPA)
+ * Terms may carry their own gradingScale (merged transcripts from different systems);
+ * their values are converted to the reporting scale before averaging.
+ * @param {Object} parsedTranscript - Parsed transcript (see transcript-parser)
+ * @param {string} scaleId - Reporting scale; defaults to the transcript's detected scale
+ * @returns {Object|null} - { scale, terms: [{ label, gpa, units, courseCount }], cgpa, totalUnits, classification,
+ *   conversions: [{ scale, value, classification }] }
+ */
+export function computeGPA(parsedTranscript, scaleId = null) {
+  if (!parsedTranscript) return null;
+
+  const reportScale = getGradingScale(scaleId || parsedTranscript.gradingScale).id;
+  let totalPoints = 0;
+  let totalUnits = 0;
+
+  const terms = parsedTranscript.terms
+    .map(term => {
+      const termScale = term.gradingScale || parsedTranscript.gradingScale || reportScale;
+      let points = 0;
+      let units = 0;
+      let courseCount = 0;
+
+      term.courses.filter(isCountedCourse).forEach(course => {
+        const value = getCoursePoints(course, termScale);
+        if (value === null) return;
+
+        const weight = course.units || 1;
+        points += convertGrade(value, termScale, reportScale) * weight;
+        units += weight;
+        courseCount++;
+      });
+
+      totalPoints += points;
+      totalUnits += units;
+
+      return { label: term.label, gpa: units ? round(points / units) : null, units, courseCount };
+    })
+    .filter(term => term.courseCount > 0);
+
+  if (totalUnits === 0) return null;
+
+  const cgpa = round(totalPoints / totalUnits);
+
+  return {
+    scale: reportScale,
+    terms,
+    cgpa,
+    totalUnits,
+    classification: classifyGrade(cgpa, reportScale),
+    conversions: Object.keys(GRADING_SCALES)
+      .filter(id => id !== reportScale)
+      .map(id => {
+        const value = convertGrade(cgpa, reportScale, id);
+        return { scale: id, value, classification: classifyGrade(value, id) };
+      }),
+  };
+}
+
+/**
+ * Formats the equivalents of a GPA result, e.g. "UK degree classification: 65 - Upper Second Class (2:1)"
+ * @param {Array} conversions - computeGPA(...).conversions
+ * @returns {string}
+ */
+export function formatConversions(conversions) {
+  return conversions
+    .map(c => `${getGradingScale(c.scale).name}: ${c.value}${c.classification ? ` - ${c.classification}` : ''}`)
+    .join('; ');
+}
+
+/**
+ * Formats a GPA result as plain text for inclusion in a prompt
+ * @param {Object} gpa - Result of computeGPA
+ * @returns {string} - GPA lines, or '' when there is no result
+ */
+export function formatGPAReport(gpa) {
+  if (!gpa) return '';
+
+  const scaleName = getGradingScale(gpa.scale).name;
+  const lines = [`Grading scale: ${scaleName}`];
+
+  gpa.terms.forEach(term => {
+    lines.push(`GPA ${term.label || 'Courses'}: ${term.gpa} (${term.units} units)`);
+  });
+
+  lines.push(`CGPA: ${gpa.cgpa} on ${scaleName} over ${gpa.totalUnits} units${gpa.classification ? ` - ${gpa.classification}` : ''}`);
+  lines.push(`Equivalents: ${formatConversions(gpa.conversions)}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Applies a grading scale chosen by the user to a parsed transcript
+ * Grade points derived from letter grades are recomputed for the new scale.
+ * @param {Object} parsedTranscript - Parsed transcript
+ * @param {string} scaleId - Scale id
+ * @returns {Object} - Parsed transcript using the scale
+ */
+export function withGradingScale(parsedTranscript, scaleId) {
+  if (!parsedTranscript || !scaleId) return parsedTranscript;
+
+  const scale = getGradingScale(scaleId);
+
+  return {
+    ...parsedTranscript,
+    gradingScale: scale.id,
+    terms: parsedTranscript.terms.map(term => ({
+      ...term,
+      gradingScale: scale.id,
+      courses: term.courses.map(course => (
+        scale.letters && course.grade in scale.letters
+          ? { ...course, gradePoints: scale.letters[course.grade] }
+          : course
+      )),
+    })),
+  };
+}
+
+function scoreToPoints(score, scale) {
+  if (MARK_SCALES.includes(scale.id)) return score;
+  if (scale.scoreBands) {
+    return scale.scoreBands.find(band => score >= band.min).points;
+  }
+  return convertGrade(score, 'percentage', scale.id);
+}
+
+/**
+ * Piecewise-linear interpolation through [x, y] anchors, clamped to the end points
+ */
+function interpolate(x, anchors) {
+  const points = [...anchors].sort((a, b) => a[0] - b[0]);
+  if (x <= points[0][0]) return points[0][1];
+
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (x <= x1) {
+      const [x0, y0] = points[i - 1];
+      return y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
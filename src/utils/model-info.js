@@ -0,0 +1,44 @@
+/**
+ * Model Info Utility
+ * Context windows and list prices used for budgeting and cost estimates
+ * Prices are USD per million tokens; they change, so treat costs as estimates.
+ */
+
+const MODELS = {
+  'meta-llama/llama-4-scout-17b-16e-instruct': { name: 'Llama 4 Scout', contextWindow: 131072, inputPrice: 0.11, outputPrice: 0.34 },
+  'meta-llama/llama-4-maverick-17b-128e-instruct': { name: 'Llama 4 Maverick', contextWindow: 131072, inputPrice: 0.20, outputPrice: 0.60 },
+  'llama-3.3-70b-versatile': { name: 'Llama 3.3 70B', contextWindow: 131072, inputPrice: 0.59, outputPrice: 0.79 },
+  'llama-3.1-8b-instant': { name: 'Llama 3.1 8B', contextWindow: 131072, inputPrice: 0.05, outputPrice: 0.08 },
+  'gpt-4o-mini': { name: 'GPT-4o mini', contextWindow: 128000, inputPrice: 0.15, outputPrice: 0.60 },
+  'gpt-4o': { name: 'GPT-4o', contextWindow: 128000, inputPrice: 2.50, outputPrice: 10.00 },
+  mock: { name: 'Mock model', contextWindow: 131072, inputPrice: 0, outputPrice: 0 },
+};
+
+// Unknown models (local servers, custom endpoints) get a conservative window and no price
+const DEFAULT_MODEL_INFO = { contextWindow: 32768, inputPrice: null, outputPrice: null };
+
+/**
+ * Gets the context window and pricing for a model
+ * @param {string} model - Model id
+ * @param {string} provider - Provider id; local and mock models cost nothing
+ * @returns {Object} - { name, contextWindow, inputPrice, outputPrice }
+ */
+export function getModelInfo(model, provider = null) {
+  const info = { name: model || 'Unknown model', ...DEFAULT_MODEL_INFO, ...MODELS[model] };
+
+  if (provider === 'local' || provider === 'mock') {
+    return { ...info, inputPrice: 0, outputPrice: 0 };
+  }
+  return info;
+}
+
+/**
+ * Estimates the cost of a request
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @param {Object} modelInfo - From getModelInfo
+ * @returns {number|null} - Cost in USD, or null when the price is unknown
+ */
+export function estimateCost({ promptTokens, completionTokens }, modelInfo) {
+  if (modelInfo.inputPrice == null || modelInfo.outputPrice == null) return null;
+  return (promptTokens * modelInfo.inputPrice + completionTokens * modelInfo.outputPrice) / 1e6;
+}
@@ -0,0 +1,282 @@
+/**
+ * Output Contract Utility
+ * Sections the markdown analysis must contain, and a checker for responses
+ * The prompt builder renders these sections into the OUTPUT CONTRACT, so the
+ * checker and the prompt can't drift apart.
+ */
+
+export const CONTRACT_TITLE = 'Comprehensive Analysis and Guidance';
+
+/**
+ * Section structure:
+ * {
+ *   number: number,
+ *   title: string,
+ *   instructions: string,   // Markdown shown under the heading in the prompt
+ *   requires: 'text' | 'table' | 'subsections'
+ * }
+ */
+export const CONTRACT_SECTIONS = [
+  {
+    number: 1,
+    title: 'PDF Report Summary',
+    requires: 'text',
+    instructions: `- Extract and summarize key information from the PDF document provided.
+- Highlight important details, achievements, and relevant data points from the PDF.`,
+  },
+  {
+    number: 2,
+    title: 'Course Classification for Masters Programs',
+    requires: 'text',
+    instructions: `- Classify all courses from the transcript according to what one can do in Masters programs.
+- Group courses by relevant Masters degree fields/disciplines.
+- Identify which courses align with potential Masters specializations.`,
+  },
+  {
+    number: 3,
+    title: 'Summarized Course Table',
+    requires: 'table',
+    instructions: `- Provide a comprehensive table summarizing all courses from the transcript.
+- Include columns for: Course Name, Grade/Score, Classification (for Masters), Strength Indicator (Strong/Weak/Average).
+- Clearly spot and mark weak courses and strong courses.
+- Calculate averages where applicable; when GPA/CGPA figures are provided in the structured data, quote them instead of calculating.`,
+  },
+  {
+    number: 4,
+    title: 'Highest Average Course Analysis',
+    requires: 'subsections',
+    instructions: `- Identify the course or course category with the highest average performance.
+- Based on this highest performing area, provide detailed recommendations:
+
+#### Masters-Level Course Recommendations
+- List specific Masters-level courses the person can offer/undertake based on their strongest area.
+- Explain how their strong performance translates to Masters readiness.
+
+#### Resources and Tools for Study
+- Recommend specific resources (books, online courses, platforms, tools) the person can study to further develop their strongest area.
+- Include practical learning resources and study materials.
+
+#### University Recommendations
+- List universities that best offer courses/programs in the person's strongest area.
+- Separate recommendations into:
+  - Universities with scholarship opportunities (include scholarship names/types if known)
+  - Universities without scholarship requirements (non-scholarship options)
+- Include brief rationale for each recommendation.`,
+  },
+  {
+    number: 5,
+    title: 'Key Insights from the Transcript',
+    requires: 'text',
+    instructions: `- Provide at least 3 concrete bullet points summarizing the student's overall performance.`,
+  },
+  {
+    number: 6,
+    title: 'Strengths',
+    requires: 'text',
+    instructions: `- Provide at least 2 bullets naming specific subjects/areas and why they are strengths.`,
+  },
+  {
+    number: 7,
+    title: 'Weaknesses',
+    requires: 'text',
+    instructions: `- Provide at least 2 bullets naming specific subjects/areas and what needs improvement.`,
+  },
+  {
+    number: 8,
+    title: 'Areas for Development',
+    requires: 'text',
+    instructions: `- Provide at least 2 bullets with targeted skills or knowledge gaps to improve.`,
+  },
+  {
+    number: 9,
+    title: 'Career Path Suggestions',
+    requires: 'text',
+    instructions: `- Provide at least 2 bullets naming potential roles/paths and the rationale from the transcript.`,
+  },
+  {
+    number: 10,
+    title: 'Recommended Resources and Educational Opportunities',
+    requires: 'text',
+    instructions: `- Provide at least 3 bullets. Name specific courses, platforms, schools, or programs (with brief reason).`,
+  },
+  {
+    number: 11,
+    title: 'Actionable Next Steps',
+    requires: 'text',
+    instructions: `- Provide at least 3 concise, personalized actions tied to their transcript evidence.`,
+  },
+  {
+    number: 12,
+    title: 'Conclusion',
+    requires: 'text',
+    instructions: `- 2–3 sentence wrap-up referencing the student's profile.`,
+  },
+];
+
+// Less than this much text (after removing headings and markup) counts as empty
+const MIN_SECTION_CHARS = 40;
+
+const SECTION_HEADING_REGEX = /^###\s+(?:(\d+)[.)]\s*)?(.+?)\s*#*\s*$/;
+const TOP_HEADING_REGEX = /^#{1,2}\s/;
+
+/**
+ * Formats a section the way it appears in the contract
+ * @param {Object} section - Contract section
+ * @returns {string}
+ */
+export function formatContractSection(section) {
+  return `### ${section.number}. ${section.title}\n${section.instructions}`;
+}
+
+/**
+ * Formats all contract sections for the prompt
+ * @returns {string}
+ */
+export function formatContractSections() {
+  return CONTRACT_SECTIONS.map(formatContractSection).join('\n\n');
+}
+
+function normalizeTitle(title) {
+  return title.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').split(/\s+/).filter(word => word.length > 2);
+}
+
+// Matches renamed headings when most of the contract title's words are present
+function titleMatches(heading, section) {
+  const words = normalizeTitle(section.title);
+  const headingWords = normalizeTitle(heading);
+  const shared = words.filter(word => headingWords.includes(word)).length;
+  return shared >= Math.max(1, Math.ceil(words.length * 0.6));
+}
+
+/**
+ * Splits a markdown response into its level-3 sections
+ * @param {string} markdown - Response text
+ * @returns {Array} - [{ number, heading, start, end, body }] with line indexes
+ */
+function splitSections(markdown) {
+  const lines = markdown.split('\n');
+  const headings = [];
+
+  lines.forEach((line, index) => {
+    const match = line.match(SECTION_HEADING_REGEX);
+    if (match) {
+      headings.push({ number: match[1] ? Number(match[1]) : null, heading: match[2], start: index });
+    } else if (TOP_HEADING_REGEX.test(line)) {
+      headings.push({ boundary: true, start: index });
+    }
+  });
+
+  return headings
+    .map((heading, i) => ({ ...heading, end: i + 1 < headings.length ? headings[i + 1].start : lines.length }))
+    .filter(heading => !heading.boundary)
+    .map(heading => ({ ...heading, body: lines.slice(heading.start + 1, heading.end).join('\n') }));
+}
+
+function getSectionProblem(section, body) {
+  const textContent = body
+    .split('\n')
+    .filter(line => !/^#{4,}\s/.test(line) && !/^\s*\|?[\s:-]+\|[\s|:-]*$/.test(line))
+    .join(' ')
+    .replace(/[*_`|>-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (textContent.length < MIN_SECTION_CHARS) return 'empty';
+
+  if (section.requires === 'table') {
+    // A header row, a separator and at least one data row
+    const tableRows = body.split('\n').filter(line => /^\s*\|.*\|\s*$/.test(line));
+    if (tableRows.length < 3) return 'no course rows';
+  }
+
+  if (section.requires === 'subsections') {
+    const subheadings = body.split('\n').filter(line => /^####\s/.test(line)).length;
+    if (subheadings < 3) return 'missing subsections';
+  }
+
+  return null;
+}
+
+/**
+ * Checks a markdown analysis against the contract
+ * Sections are found by number, or by title when the model renumbered or renamed them.
+ * @param {string} markdown - Response text
+ * @returns {Object} - { sections: [{ section, found, problem }], problems: [{ section, problem }] }
+ */
+export function checkOutputContract(markdown) {
+  const found = splitSections(markdown || '');
+  const used = new Set();
+
+  const sections = CONTRACT_SECTIONS.map(section => {
+    const match = found.find(f => !used.has(f) && f.number === section.number && titleMatches(f.heading, section))
+      || found.find(f => !used.has(f) && titleMatches(f.heading, section))
+      || found.find(f => !used.has(f) && f.number === section.number);
+
+    if (!match) return { section, found: null, problem: 'missing' };
+
+    used.add(match);
+    return { section, found: match, problem: getSectionProblem(section, match.body) };
+  });
+
+  return {
+    sections,
+    problems: sections.filter(s => s.problem).map(({ section, problem }) => ({ section, problem })),
+  };
+}
+
+/**
+ * Extracts contract sections from a response that only contains some of them
+ * @param {string} markdown - Response to a targeted follow-up
+ * @returns {Map} - section number -> section markdown (heading included)
+ */
+export function extractContractSections(markdown) {
+  const lines = (markdown || '').split('\n');
+  const extracted = new Map();
+
+  checkOutputContract(markdown).sections.forEach(({ section, found, problem }) => {
+    if (found && !problem) {
+      const body = lines.slice(found.start + 1, found.end).join('\n').trim();
+      extracted.set(section.number, `### ${section.number}. ${section.title}\n${body}`);
+    }
+  });
+
+  return extracted;
+}
+
+/**
+ * Replaces or inserts sections in a markdown analysis
+ * Existing (empty or broken) sections are replaced in place; missing ones are
+ * inserted after the closest earlier section so the contract order is kept.
+ * @param {string} markdown - Original response
+ * @param {Map} replacements - section number -> section markdown
+ * @returns {string} - Updated response
+ */
+export function spliceContractSections(markdown, replacements) {
+  let lines = markdown.split('\n');
+
+  // Replace from the bottom so earlier line indexes stay valid
+  const { sections } = checkOutputContract(markdown);
+  [...sections]
+    .filter(s => s.found && replacements.has(s.section.number))
+    .sort((a, b) => b.found.start - a.found.start)
+    .forEach(({ section, found }) => {
+      lines.splice(found.start, found.end - found.start, ...`${replacements.get(section.number)}\n`.split('\n'));
+    });
+
+  // Insert missing sections after the nearest earlier section that exists
+  const missing = sections.filter(s => !s.found && replacements.has(s.section.number));
+  missing.forEach(({ section }) => {
+    const current = checkOutputContract(lines.join('\n')).sections;
+    const previous = current
+      .filter(s => s.found && s.section.number < section.number)
+      .sort((a, b) => b.section.number - a.section.number)[0];
+    const next = current
+      .filter(s => s.found && s.section.number > section.number)
+      .sort((a, b) => a.section.number - b.section.number)[0];
+
+    const insertAt = previous ? previous.found.end : next ? next.found.start : lines.length;
+    lines = [...lines.slice(0, insertAt), ...`${replacements.get(section.number)}\n`.split('\n'), ...lines.slice(insertAt)];
+  });
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
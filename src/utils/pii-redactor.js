@@ -0,0 +1,246 @@
+/**
+ * PII Redactor Utility
+ * Replaces personal details in transcript text with stable placeholders before
+ * anything is sent to the API, and puts the real values back into responses locally
+ */
+
+// Labels that introduce a personal field on transcript headers, longest first within each type
+const PII_FIELD_LABELS = {
+  name: ['Student Name', 'Name of Student', 'Full Name', 'Name'],
+  studentId: ['Student ID', 'Student No', 'Student Number', 'Matric No', 'Matriculation Number', 'Registration Number', 'Reg No', 'ID Number'],
+  dateOfBirth: ['Date of Birth', 'Birth Date', 'D.O.B', 'DOB'],
+  address: ['Permanent Address', 'Mailing Address', 'Home Address', 'Address'],
+};
+
+// "Course Name:", "Institution Address:" and the like are not about the student
+const OTHER_FIELD_PREFIXES = ['Course', 'Module', 'Institution', 'School', 'University', 'Department', 'Programme', 'Program'];
+
+const PLACEHOLDER_NAMES = {
+  name: 'STUDENT_NAME',
+  studentId: 'STUDENT_ID',
+  dateOfBirth: 'DATE_OF_BIRTH',
+  address: 'ADDRESS',
+  email: 'EMAIL',
+  phone: 'PHONE',
+  custom: 'REDACTED',
+};
+
+export const PII_TYPE_LABELS = {
+  name: 'Name',
+  studentId: 'Student ID',
+  dateOfBirth: 'Date of birth',
+  address: 'Address',
+  email: 'Email',
+  phone: 'Phone',
+  custom: 'Custom',
+};
+
+const EMAIL_REGEX = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// Phone-like digit groups with an optional label, international prefix and bracketed area code;
+// one of the three is required (see isPhoneNumber), since bare digit runs are usually years or scores
+const PHONE_REGEX = /(\b(?:Phone|Telephone|Tel|Mobile|Cell)(?:\s*(?:No|Number))?\s*[:.#]?\s*)?(\+\d{1,3}[\s.-]?)?(\(\d{2,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}/gi;
+const MIN_PHONE_DIGITS = 10;
+const MAX_FIELD_LENGTH = 100;
+
+/**
+ * Redaction structure:
+ * {
+ *   id: string,
+ *   type: 'name' | 'studentId' | 'dateOfBirth' | 'address' | 'email' | 'phone' | 'custom',
+ *   value: string,         // Real value, never sent
+ *   placeholder: string,   // e.g. "[STUDENT_NAME]", "[EMAIL_2]"
+ *   enabled: boolean,      // false when the user chose to send the real value
+ *   isManual: boolean      // Added by the user rather than detected
+ * }
+ */
+
+/**
+ * Detects personal details in transcript text
+ * Existing redactions keep their placeholder and enabled state, so placeholders
+ * stay stable as transcripts are added or removed; manual ones are always kept.
+ * @param {string} text - Transcript text
+ * @param {Array} existing - Current redactions
+ * @returns {Array} - Redactions
+ */
+export function detectPII(text, existing = []) {
+  const found = [];
+  const add = (type, value) => {
+    const cleaned = cleanValue(value);
+    if (cleaned.length < 2 || found.some(f => sameValue(f.value, cleaned))) return;
+    found.push({ type, value: cleaned });
+  };
+
+  if (text) {
+    Object.keys(PII_FIELD_LABELS).forEach(type => {
+      findLabelledValues(text, type).forEach(value => add(type, value));
+    });
+    (text.match(EMAIL_REGEX) || []).forEach(value => add('email', value));
+    [...text.matchAll(PHONE_REGEX)]
+      .filter(isPhoneNumber)
+      .forEach(([value, label = '']) => add('phone', value.slice(label.length)));
+  }
+
+  const redactions = existing.filter(r => r.isManual || found.some(f => sameValue(f.value, r.value)));
+
+  found.forEach(({ type, value }) => {
+    if (!redactions.some(r => sameValue(r.value, value))) {
+      redactions.push(createRedaction(type, value, redactions));
+    }
+  });
+
+  return redactions;
+}
+
+/**
+ * Creates a redaction entered by the user
+ * @param {string} value - Text to hide
+ * @param {Array} existing - Current redactions (used to number the placeholder)
+ * @returns {Object} - Redaction
+ */
+export function createManualRedaction(value, existing = []) {
+  return { ...createRedaction('custom', cleanValue(value), existing), isManual: true };
+}
+
+/**
+ * Replaces every enabled redaction value with its placeholder
+ * Names also match their reordered forms ("Doe, Jane", "jane-doe").
+ * @param {string} text
+ * @param {Array} redactions
+ * @returns {string} - Redacted text
+ */
+export function redactText(text, redactions = []) {
+  if (!text) return text;
+
+  return redactions
+    .filter(r => r.enabled && r.value)
+    .sort((a, b) => b.value.length - a.value.length)
+    .reduce((result, r) => result.replace(buildValueRegex(r), r.placeholder), text);
+}
+
+/**
+ * Puts the real values back in place of placeholders
+ * @param {string} text - Text that may contain placeholders (e.g. an AI response)
+ * @param {Array} redactions
+ * @returns {string} - Text with real values
+ */
+export function restoreText(text, redactions = []) {
+  if (!text) return text;
+  return redactions.reduce((result, r) => result.split(r.placeholder).join(r.value), text);
+}
+
+/**
+ * Restores placeholders in every string of a structured value (e.g. a JSON analysis)
+ * @param {*} value - String, array or plain object
+ * @param {Array} redactions
+ * @returns {*} - Copy with original values
+ */
+export function restoreValue(value, redactions = []) {
+  if (typeof value === 'string') return restoreText(value, redactions);
+  if (Array.isArray(value)) return value.map(item => restoreValue(item, redactions));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restoreValue(item, redactions)]));
+  }
+  return value;
+}
+
+/**
+ * Redacts every string of a structured value (e.g. an exported session)
+ * @param {*} value - String, array or plain object
+ * @param {Array} redactions
+ * @returns {*} - Copy with placeholders
+ */
+export function redactValue(value, redactions = []) {
+  if (typeof value === 'string') return redactText(restoreText(value, redactions), redactions);
+  if (Array.isArray(value)) return value.map(item => redactValue(item, redactions));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, redactions)]));
+  }
+  return value;
+}
+
+/**
+ * Redacts the content of API messages right before they are sent
+ * Content is restored first so a value the user un-redacted is sent in full,
+ * and a redaction added after summarization still applies to the summary.
+ * @param {Array} messages - [{ role, content }]
+ * @param {Array} redactions
+ * @returns {Array} - Messages safe to send
+ */
+export function redactMessages(messages, redactions = []) {
+  return messages.map(message => ({
+    ...message,
+    content: redactText(restoreText(message.content, redactions), redactions),
+  }));
+}
+
+function createRedaction(type, value, existing) {
+  const name = PLACEHOLDER_NAMES[type] || PLACEHOLDER_NAMES.custom;
+  const count = existing.filter(r => r.placeholder.startsWith(`[${name}`)).length;
+
+  return {
+    id: crypto.randomUUID(),
+    type,
+    value,
+    placeholder: count === 0 ? `[${name}]` : `[${name}_${count + 1}]`,
+    enabled: true,
+    isManual: false,
+  };
+}
+
+/**
+ * Finds values such as "Date of Birth: 02/03/2001" for one field type
+ * A value ends at a line break, a column gap or the next known label.
+ */
+function findLabelledValues(text, type) {
+  const allLabels = Object.values(PII_FIELD_LABELS).flat().map(escapeRegExp).join('|');
+  const labels = PII_FIELD_LABELS[type].map(escapeRegExp).join('|');
+  const regex = new RegExp(
+    `(?<!\\b(?:${OTHER_FIELD_PREFIXES.join('|')})\\s)\\b(?:${labels})\\s*[:.]\\s*([^\\n\\t|]{1,${MAX_FIELD_LENGTH}}?)(?=\\s+(?:${allLabels})\\s*[:.]|\\s{2,}|[\\n\\t|]|$)`,
+    'gi'
+  );
+
+  return [...text.matchAll(regex)].map(match => match[1]);
+}
+
+function buildValueRegex(redaction) {
+  let pattern = redaction.value.split(/\s+/).map(escapeRegExp).join('\\s+');
+
+  if (redaction.type === 'name') {
+    // Match "Jane Doe", "Doe, Jane", "jane_doe", "JANE-DOE"
+    const parts = redaction.value.split(/[\s,]+/).filter(Boolean).map(escapeRegExp);
+    const separator = '[\\s,._-]+';
+    pattern = `${parts.join(separator)}|${[...parts].reverse().join(separator)}`;
+  }
+
+  // Avoid matching inside longer words or numbers (e.g. an ID inside a course code);
+  // "_" counts as a separator so "Jane_Doe_transcript.pdf" is still matched
+  return new RegExp(`(?<![A-Za-z0-9])(?:${pattern})(?![A-Za-z0-9])`, 'gi');
+}
+
+/**
+ * Checks a PHONE_REGEX match for a phone signal and enough digits
+ * Without an international prefix, runs made only of years ("2019 2020 2021")
+ * or two-digit scores ("70 65 80 72 90") are rejected even when labelled or bracketed.
+ */
+function isPhoneNumber([value, label = '', prefix, areaCode]) {
+  const groups = value.slice(label.length).match(/\d+/g);
+  if (groups.join('').length < MIN_PHONE_DIGITS) return false;
+  if (prefix) return true;
+  if (!label && !areaCode) return false;
+
+  const yearLike = groups.every(group => /^(?:19|20)\d{2}$/.test(group));
+  const twoDigit = groups.every(group => group.length === 2);
+  return !yearLike && !twoDigit;
+}
+
+function cleanValue(value) {
+  return String(value || '').replace(/\s+/g, ' ').replace(/^[\s,;:-]+|[\s,;:-]+$/g, '');
+}
+
+function sameValue(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,44 @@
+/**
+ * Pipeline Progress Utility
+ * Formats progress events from the transcript pipeline for display
+ */
+
+/**
+ * Formats a progress event as a short status line
+ * @param {Object} progress - { stage, current, total, progress }
+ * @returns {string} - e.g. "Extracting page 3/12", "Summarizing chunk 2/4", "Merging chunk summaries..."
+ */
+export function formatPipelineProgress(progress) {
+  if (!progress) return 'Processing...';
+
+  const { stage, current, total } = progress;
+  const count = total > 1 ? ` ${current}/${total}` : '';
+
+  switch (stage) {
+    case 'reading':
+      return 'Reading file...';
+    case 'extracting':
+      return `Extracting page${count}...`;
+    case 'ocr':
+      return `Running OCR on ${total > 1 ? `page${count}` : 'scanned image'} (${Math.round((progress.progress || 0) * 100)}%)...`;
+    case 'summarizing':
+      return total > 1 ? `Summarizing chunk${count}...` : 'Summarizing transcript...';
+    case 'merging':
+      return 'Merging chunk summaries...';
+    default:
+      return 'Processing...';
+  }
+}
+
+/**
+ * Gets the overall completion of a progress event
+ * @param {Object} progress - { stage, current, total, progress }
+ * @returns {number|null} - Fraction between 0 and 1, or null when unknown
+ */
+export function getProgressFraction(progress) {
+  if (!progress || !progress.total) return null;
+
+  const withinStep = progress.stage === 'ocr' ? progress.progress || 0 : 0;
+  const completed = Math.max(0, (progress.current || 0) - 1) + withinStep;
+  return Math.min(1, completed / progress.total);
+}
@@ -3,6 +3,10 @@
  * Constructs prompts based on tone and analysis method
  */
 
+import { formatParsedTranscript } from './transcript-parser';
+import { ANALYSIS_EXAMPLE } from './analysis-schema';
+import { CONTRACT_TITLE, formatContractSections } from './output-contract';
+
 const TONES = {
   casual: {
     name: 'Casual',
@@ -81,6 +85,48 @@ const ANALYSIS_METHODS = {
   },
 };
 
+const OUTPUT_FORMATS = {
+  markdown: {
+    name: 'Report',
+    description: 'Free-form report with headed sections',
+  },
+  json: {
+    name: 'Structured',
+    description: 'Validated data rendered as tables and cards',
+  },
+};
+
+/**
+ * Builds the output contract for the structured (JSON) analysis
+ * @param {boolean} hasStructuredData - Whether locally parsed course data is included
+ * @returns {string} - Contract text
+ */
+function buildJsonOutputContract(hasStructuredData) {
+  let contract = `Please provide a comprehensive analysis and guidance based on the above information.
+
+OUTPUT CONTRACT (STRICT): Respond with a single JSON object and nothing else - no markdown, no code fences, no text before or after it. Use exactly this shape:
+${JSON.stringify(ANALYSIS_EXAMPLE, null, 2)}
+
+FIELD RULES:
+- summary: 2-4 sentences with the key information from the transcript.
+- gpa: the overall GPA/CGPA, its scale and classification, or null if the transcript has none.
+- courses: every course from the transcript. "field" is the Masters discipline the course feeds into; "strength" is exactly "Strong", "Average" or "Weak".
+- strengths and weaknesses: at least 2 items each, naming specific subjects/areas and why.
+- careers: at least 2 roles or paths with the rationale from the transcript.
+- universities: programs in the strongest area. Set "scholarship" to the scholarship name/type, or null for options without one. Include both kinds.
+- resources: at least 3 specific books, courses, platforms or programs with a brief reason.
+- nextSteps: at least 3 concise, personalized actions tied to transcript evidence.
+- conclusion: 2-3 sentences referencing the student's profile.
+- Never leave a string empty. If the transcript has no evidence for an item, say so in its text instead of omitting it.`;
+
+  if (hasStructuredData) {
+    contract += `
+- Take courses, grades, strength values and GPA figures from the STRUCTURED TRANSCRIPT DATA exactly; do not recalculate or invent grades.`;
+  }
+
+  return contract;
+}
+
 /**
  * Builds a system prompt based on tone
  * @param {string} tone - The selected tone (casual, direct, counsellor, coach, analyst)
@@ -109,20 +155,46 @@ export function buildAnalysisInstructions(method) {
   return methodConfig.instruction;
 }
 
+/**
+ * Builds the transcript part of a prompt: the transcript text and/or the parsed course data
+ * Follow-ups get it again through conversation-memory.js.
+ * @param {string} transcriptText - Extracted or summarized transcript text
+ * @param {Object} parsedTranscript - Structured transcript from transcript-parser (optional)
+ * @returns {string} - Labelled transcript sections, or '' when there is nothing
+ */
+export function buildTranscriptReference(transcriptText, parsedTranscript = null) {
+  const parts = [];
+
+  if (transcriptText && transcriptText.trim()) {
+    parts.push(`TRANSCRIPT CONTENT:\n${transcriptText.trim()}`);
+  }
+
+  const structuredData = formatParsedTranscript(parsedTranscript);
+  if (structuredData) {
+    const source = parsedTranscript.isReviewed ? 'parsed locally and corrected by the student' : 'parsed and computed locally';
+    parts.push(`STRUCTURED TRANSCRIPT DATA (${source} — treat these courses and figures as authoritative):\n${structuredData}`);
+  }
+
+  return parts.join('\n\n');
+}
+
 /**
  * Builds the initial analysis prompt (structured breakdown)
  * @param {string} transcriptText - Extracted transcript text
  * @param {string} additionalContext - Additional context from user
  * @param {string} analysisMethod - Selected analysis method
+ * @param {Object} parsedTranscript - Structured transcript from transcript-parser (optional)
+ * @param {string} outputFormat - 'markdown' or 'json'
  * @returns {string} - Complete user prompt for initial analysis
  */
-export function buildInitialAnalysisPrompt(transcriptText, additionalContext = '', analysisMethod = '') {
-  let prompt = '';
-
-  if (transcriptText && transcriptText.trim()) {
-    prompt += `TRANSCRIPT CONTENT:\n${transcriptText.trim()}\n\n`;
+export function buildInitialAnalysisPrompt(transcriptText, additionalContext = '', analysisMethod = '', parsedTranscript = null, outputFormat = 'markdown') {
+  let prompt = buildTranscriptReference(transcriptText, parsedTranscript);
+  if (prompt) {
+    prompt += '\n\n';
   }
 
+  const structuredData = formatParsedTranscript(parsedTranscript);
+
   if (additionalContext && additionalContext.trim()) {
     prompt += `ADDITIONAL CONTEXT:\n${additionalContext.trim()}\n\n`;
   }
@@ -132,69 +204,18 @@ export function buildInitialAnalysisPrompt(transcriptText, additionalContext = '
     prompt += `ANALYSIS REQUIREMENTS:\n${instructions}\n\n`;
   }
 
+  if (outputFormat === 'json') {
+    prompt += buildJsonOutputContract(!!structuredData);
+    return prompt.trim();
+  }
+
   prompt += `Please provide a comprehensive analysis and guidance based on the above information.
 
 OUTPUT CONTRACT (STRICT — do not omit any section):
 
-## Comprehensive Analysis and Guidance
-
-### 1. PDF Report Summary
-- Extract and summarize key information from the PDF document provided.
-- Highlight important details, achievements, and relevant data points from the PDF.
-
-### 2. Course Classification for Masters Programs
-- Classify all courses from the transcript according to what one can do in Masters programs.
-- Group courses by relevant Masters degree fields/disciplines.
-- Identify which courses align with potential Masters specializations.
-
-### 3. Summarized Course Table
-- Provide a comprehensive table summarizing all courses from the transcript.
-- Include columns for: Course Name, Grade/Score, Classification (for Masters), Strength Indicator (Strong/Weak/Average).
-- Clearly spot and mark weak courses and strong courses.
-- Calculate averages where applicable.
-
-### 4. Highest Average Course Analysis
-- Identify the course or course category with the highest average performance.
-- Based on this highest performing area, provide detailed recommendations:
-
-#### Masters-Level Course Recommendations
-- List specific Masters-level courses the person can offer/undertake based on their strongest area.
-- Explain how their strong performance translates to Masters readiness.
-
-#### Resources and Tools for Study
-- Recommend specific resources (books, online courses, platforms, tools) the person can study to further develop their strongest area.
-- Include practical learning resources and study materials.
-
-#### University Recommendations
-- List universities that best offer courses/programs in the person's strongest area.
-- Separate recommendations into:
-  - Universities with scholarship opportunities (include scholarship names/types if known)
-  - Universities without scholarship requirements (non-scholarship options)
-- Include brief rationale for each recommendation.
-
-### 5. Key Insights from the Transcript
-- Provide at least 3 concrete bullet points summarizing the student's overall performance.
-
-### 6. Strengths
-- Provide at least 2 bullets naming specific subjects/areas and why they are strengths.
-
-### 7. Weaknesses
-- Provide at least 2 bullets naming specific subjects/areas and what needs improvement.
+## ${CONTRACT_TITLE}
 
-### 8. Areas for Development
-- Provide at least 2 bullets with targeted skills or knowledge gaps to improve.
-
-### 9. Career Path Suggestions
-- Provide at least 2 bullets naming potential roles/paths and the rationale from the transcript.
-
-### 10. Recommended Resources and Educational Opportunities
-- Provide at least 3 bullets. Name specific courses, platforms, schools, or programs (with brief reason).
-
-### 11. Actionable Next Steps
-- Provide at least 3 concise, personalized actions tied to their transcript evidence.
-
-### 12. Conclusion
-- 2–3 sentence wrap-up referencing the student's profile.
+${formatContractSections()}
 
 RENDERING RULES:
 - Use markdown headers (##, ###) and bullet points (- ) exactly as shown.
@@ -205,6 +226,12 @@ RENDERING RULES:
 - For the course table, use clear indicators like "Strong", "Weak", or "Average" in the Strength column.
 - Ensure all Masters-related recommendations are directly tied to the highest average course/category identified.`;
 
+  if (structuredData) {
+    prompt += `
+- Build the course table from the STRUCTURED TRANSCRIPT DATA and reuse its averages and Strength values; do not recalculate or invent grades.
+- Quote the GPA, CGPA, classification and scale equivalents exactly as computed in the STRUCTURED TRANSCRIPT DATA.`;
+  }
+
   return prompt.trim();
 }
 
@@ -227,9 +254,11 @@ Please provide a conversational response that directly addresses my question. Re
  * @param {string} analysisMethod - Selected analysis method
  * @param {Array} conversationHistory - Previous messages (optional)
  * @param {boolean} isFollowUp - Whether this is a follow-up question
+ * @param {Object} parsedTranscript - Structured transcript from transcript-parser (optional)
+ * @param {string} outputFormat - 'markdown' or 'json'; follow-ups are always conversational markdown
  * @returns {Array} - Array of message objects for API
  */
-export function buildMessages(transcriptText, additionalContext = '', tone = 'casual', analysisMethod = '', conversationHistory = [], isFollowUp = false) {
+export function buildMessages(transcriptText, additionalContext = '', tone = 'casual', analysisMethod = '', conversationHistory = [], isFollowUp = false, parsedTranscript = null, outputFormat = 'markdown') {
   const messages = [];
 
   // Add system prompt with enhanced instructions for follow-ups
@@ -253,6 +282,9 @@ DO:
 - DO NOT HALLUCINATE ANY INFORMATION. If you don't know the answer, politely decline to answer and suggest they ask a question that is related to the transcript.
 -INSGIGHTS SHOULD BE DATA DRIVEN AND BASED ON THE TRANSCRIPT AND ADDITIONAL CONTEXT IF ANY. Avoid personal opinions, biases or subjecttive judgements and statements.
 - Use the conversation history to understand context`;
+  } else if (outputFormat === 'json') {
+    // Structured analysis is parsed and validated, so only the JSON object may be returned
+    systemPrompt += `\n\nIMPORTANT: This is the initial transcript analysis. Respond only with a JSON object in the shape the user specifies, keeping the selected tone in the text fields. Include all key insights, strengths, weaknesses, career suggestions, and resources.`;
   } else {
     // For initial analysis, emphasize structured breakdown
     systemPrompt += `\n\nIMPORTANT: This is the initial transcript analysis. Provide a comprehensive, well-structured breakdown with clear sections using markdown formatting. Include all key insights, strengths, weaknesses, career suggestions, and resources.`;
@@ -275,7 +307,7 @@ DO:
     userPrompt = buildFollowUpPrompt(additionalContext);
   } else {
     // For initial analysis, use structured prompt
-    userPrompt = buildInitialAnalysisPrompt(transcriptText, additionalContext, analysisMethod);
+    userPrompt = buildInitialAnalysisPrompt(transcriptText, additionalContext, analysisMethod, parsedTranscript, outputFormat);
   }
   
   if (userPrompt) {
@@ -310,3 +342,13 @@ export function getAvailableAnalysisMethods() {
   }));
 }
 
+/**
+ * Gets available output formats
+ * @returns {Array} - Array of output format objects
+ */
+export function getAvailableOutputFormats() {
+  return Object.keys(OUTPUT_FORMATS).map(key => ({
+    value: key,
+    ...OUTPUT_FORMATS[key],
+  }));
+}
@@ -0,0 +1,116 @@
+/**
+ * Transcript Chunker Utility
+ * Splits long transcripts into chunks that fit a token budget
+ * Chunks end on institution markers, term headers or page breaks, so the
+ * courses of a term usually stay together in one chunk.
+ */
+
+import { estimateTokens, truncateToTokens } from './token-estimator';
+import { findTermHeaders } from './transcript-parser';
+
+// Written by transcript-merger before each file of a merged profile
+const INSTITUTION_MARKER_REGEX = /^=== .+ ===$/gm;
+
+// Pages are extracted with a blank line between them
+const PAGE_BREAK_REGEX = /\n[ \t]*\n/g;
+
+/**
+ * Finds the positions where a chunk may start
+ * @param {string} text - Normalized transcript text
+ * @returns {Array} - Sorted, unique character indexes
+ */
+function findBoundaries(text) {
+  const lineStart = (index) => text.lastIndexOf('\n', index - 1) + 1;
+
+  const boundaries = [
+    0,
+    ...[...text.matchAll(INSTITUTION_MARKER_REGEX)].map(match => match.index),
+    ...findTermHeaders(text).map(header => lineStart(header.index)),
+    ...[...text.matchAll(PAGE_BREAK_REGEX)].map(match => match.index + match[0].length),
+  ];
+
+  return [...new Set(boundaries)].filter(index => index < text.length).sort((a, b) => a - b);
+}
+
+/**
+ * Splits a segment that is larger than the budget on its own, line by line
+ * @param {string} segment - Text between two boundaries
+ * @param {number} maxTokens - Token budget
+ * @returns {Array} - Pieces that fit the budget
+ */
+function splitOversized(segment, maxTokens) {
+  const pieces = [];
+  let current = '';
+  let currentTokens = 0;
+
+  segment.split('\n').forEach(line => {
+    let rest = line;
+    // A single line can still be too long (e.g. a page extracted without line breaks)
+    while (estimateTokens(rest) > maxTokens) {
+      // One token piece can exceed the budget by itself (a long run of letters or symbols
+      // without spaces); cut it by characters, 2 per token being the densest estimate
+      const head = truncateToTokens(rest, maxTokens) || rest.slice(0, Math.max(1, maxTokens * 2));
+      if (current) pieces.push(current);
+      pieces.push(head);
+      current = '';
+      currentTokens = 0;
+      rest = rest.slice(head.length);
+    }
+
+    const lineTokens = estimateTokens(rest) + 1;
+    if (current && currentTokens + lineTokens > maxTokens) {
+      pieces.push(current);
+      current = '';
+      currentTokens = 0;
+    }
+    current += `${rest}\n`;
+    currentTokens += lineTokens;
+  });
+
+  if (current.trim()) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Splits a transcript into chunks of at most maxTokens
+ * In merged profiles, chunks that start inside a file repeat that file's
+ * institution marker so every chunk says where its courses come from.
+ * @param {string} text - Transcript text
+ * @param {number} maxTokens - Token budget per chunk
+ * @returns {Array} - Chunk texts
+ */
+export function chunkTranscript(text, maxTokens) {
+  const normalized = (text || '').replace(/\r\n?/g, '\n');
+  if (!normalized.trim()) return [];
+  if (estimateTokens(normalized) <= maxTokens) return [normalized.trim()];
+
+  const boundaries = findBoundaries(normalized);
+  const segments = boundaries
+    .map((start, i) => normalized.slice(start, boundaries[i + 1] ?? normalized.length))
+    .flatMap(segment => (estimateTokens(segment) > maxTokens ? splitOversized(segment, maxTokens) : [segment]));
+
+  const chunks = [];
+  let current = '';
+  let currentTokens = 0;
+
+  segments.forEach(segment => {
+    const tokens = estimateTokens(segment);
+    if (current && currentTokens + tokens > maxTokens) {
+      chunks.push(current);
+      current = '';
+      currentTokens = 0;
+    }
+    current += segment;
+    currentTokens += tokens;
+  });
+  if (current.trim()) chunks.push(current);
+
+  let marker = null;
+  return chunks.map(chunk => {
+    const trimmed = chunk.trim();
+    const withMarker = marker && !trimmed.startsWith('=== ') ? `${marker}\n${trimmed}` : trimmed;
+    const markers = trimmed.match(INSTITUTION_MARKER_REGEX);
+    if (markers) marker = markers[markers.length - 1];
+    return withMarker;
+  });
+}
@@ -0,0 +1,77 @@
+/**
+ * Transcript Merger Utility
+ * Combines several uploaded transcripts into a single labelled profile
+ */
+
+/**
+ * Gets the label used for the transcript at a given position
+ * @param {number} index - Zero-based position in the upload list
+ * @returns {string} - "Institution A", "Institution B", ...
+ */
+export function getInstitutionLabel(index) {
+  return `Institution ${String.fromCharCode(65 + (index % 26))}`;
+}
+
+/**
+ * Merges uploaded transcripts into one text and one parsed model
+ * A single transcript is returned unchanged; with several, every section and
+ * term is prefixed with its institution label so the sources stay distinguishable.
+ * @param {Array} transcripts - [{ fileName, text, parsed }]
+ * @returns {Object} - { text: string, parsed: Object|null }
+ */
+export function mergeTranscripts(transcripts) {
+  if (!transcripts || transcripts.length === 0) {
+    return { text: '', parsed: null };
+  }
+
+  if (transcripts.length === 1) {
+    return { text: transcripts[0].text, parsed: transcripts[0].parsed };
+  }
+
+  const institutions = transcripts.map((transcript, index) => ({
+    label: getInstitutionLabel(index),
+    name: transcript.parsed?.institution || null,
+    fileName: transcript.fileName,
+  }));
+
+  const text = transcripts
+    .map((transcript, index) => {
+      const { label, name, fileName } = institutions[index];
+      return `=== ${label}${name ? `: ${name}` : ''} (${fileName}) ===\n${transcript.text.trim()}`;
+    })
+    .join('\n\n');
+
+  const parsedList = transcripts.map(t => t.parsed).filter(Boolean);
+  if (parsedList.length === 0) {
+    return { text, parsed: null };
+  }
+
+  const firstField = (field) => parsedList.map(p => p.student[field]).find(Boolean) || null;
+
+  const parsed = {
+    institution: null,
+    // GPAs are reported on the first transcript's scale; other terms are converted
+    gradingScale: parsedList[0].gradingScale,
+    institutions,
+    student: {
+      name: firstField('name'),
+      id: firstField('id'),
+      programme: institutions
+        .map((institution, index) => {
+          const programme = transcripts[index].parsed?.student.programme;
+          return programme ? `${programme} (${institution.label})` : null;
+        })
+        .filter(Boolean)
+        .join('; ') || null,
+    },
+    terms: transcripts.flatMap((transcript, index) =>
+      (transcript.parsed?.terms || []).map(term => ({
+        ...term,
+        gradingScale: term.gradingScale || transcript.parsed.gradingScale,
+        label: term.label ? `${institutions[index].label} - ${term.label}` : institutions[index].label,
+      }))
+    ),
+  };
+
+  return { text, parsed };
+}
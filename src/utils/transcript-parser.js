@@ -0,0 +1,447 @@
+/**
+ * Transcript Parser Utility
+ * Turns extracted transcript text into a structured course model
+ * Deterministic, rule-based parsing - no AI involved
+ */
+
+import {
+  DEFAULT_GRADING_SCALE,
+  detectGradingScale,
+  getGradePointsForGrade,
+  isCountedCourse,
+  parseNumericGrade,
+  normalizeGrade,
+  getCoursePoints,
+  computeGPA,
+  formatGPAReport,
+} from './grading-scales';
+
+// e.g. "CSC 101", "MTH-201", "ENG1012", "PHY 101L"
+const COURSE_CODE_REGEX = /\b([A-Z]{2,4})\s?-?(\d{3,4}[A-Z]?)\b/g;
+
+// Letter grades, plus German numeric grades written with a decimal comma ("1,3")
+const GRADE_LETTER_REGEX = /^(A\+|A-|A|B\+|B-|B|C\+|C-|C|D\+|D-|D|E|FX|F|P|NP|W|I|S|U|[1-5],\d)$/;
+
+const NUMBER_REGEX = /^\d{1,3}(?:\.\d{1,2})?%?$/;
+
+// Words that mark the end of a course row (term totals, page footers, ...)
+const ROW_TERMINATOR_REGEX = /\b(?:Total|Totals|GPA|CGPA|TCP|TNU|Cumulative|Semester|Session|Term|Page|Remarks?|Summary)\b/i;
+
+const TERM_PATTERNS = [
+  /\b(?:First|Second|Third|1st|2nd|3rd)\s+(?:Semester|Term|Quarter)\b/gi,
+  /\b(?:Fall|Spring|Summer|Winter|Autumn|Harmattan|Rain)\s+(?:Semester\s+|Term\s+|Quarter\s+)?\d{4}\b/gi,
+  /\b(?:Harmattan|Rain)\s+Semester\b/gi,
+  /\b(?:Semester|Term|Year|Quarter)\s+\d{1,2}\b/gi,
+  /\b[1-8]00\s+Level\b/gi,
+  /\b\d{4}\s*[/-]\s*\d{2,4}\s+(?:Session|Academic\s+Year)\b/gi,
+];
+
+// Two matches closer than this are treated as one header, e.g. "2019/2020 Session First Semester"
+const TERM_MERGE_DISTANCE = 6;
+
+// Matches both "University of Lagos" and letterhead-style "UNIVERSITY OF LAGOS"
+const INSTITUTION_REGEX = /\b((?:[A-Z][\w.&'-]*\s+){0,5}(?:University|UNIVERSITY|College|COLLEGE|Polytechnic|POLYTECHNIC|Institute|INSTITUTE|Academy|ACADEMY)(?: (?:of|OF)(?: [A-Z][\w.&'-]*){1,5})?)/;
+
+const STUDENT_FIELD_LABELS = {
+  name: ['Student Name', 'Name of Student', 'Name'],
+  id: ['Student ID', 'Student No', 'Student Number', 'Matric No', 'Matriculation Number', 'Registration Number', 'Reg No', 'ID Number'],
+  programme: ['Programme', 'Program', 'Course of Study', 'Degree', 'Major', 'Department'],
+};
+
+/**
+ * Course structure:
+ * {
+ *   id: string,                                  // Stable key for review edits
+ *   code: string,
+ *   title: string,
+ *   units: number | null,
+ *   grade: string | null,
+ *   score: number | null,
+ *   gradePoints: number | null,
+ *   status: 'completed' | 'repeated' | 'withdrawn'
+ * }
+ *
+ * Parsed transcript structure:
+ * {
+ *   institution: string | null,
+ *   gradingScale: string,                       // Detected scale id, see grading-scales
+ *   institutions?: [{ label, name, fileName }], // only on merged profiles, see transcript-merger
+ *   student: { name: string | null, id: string | null, programme: string | null },
+ *   terms: [{ label: string | null, gradingScale?: string, courses: Array<Course> }]
+ * }
+ */
+
+/**
+ * Parses extracted transcript text into a structured model
+ * @param {string} text - Extracted transcript text
+ * @returns {Object|null} - Parsed transcript, or null when no text was provided
+ */
+export function parseTranscript(text) {
+  if (!text || !text.trim()) {
+    return null;
+  }
+
+  const normalized = text.replace(/\r\n?/g, '\n');
+  const termHeaders = findTermHeaders(normalized);
+  const courses = findCourses(normalized);
+  const gradingScale = detectGradingScale(normalized, courses.map(({ course }) => course));
+  courses.forEach(({ course }) => fillGradePoints(course, gradingScale));
+
+  const terms = [];
+  courses.forEach(({ index, course }) => {
+    const header = termHeaders.filter(h => h.index < index).pop();
+    const label = header ? header.label : null;
+    let term = terms.find(t => t.label === label);
+    if (!term) {
+      term = { label, courses: [] };
+      terms.push(term);
+    }
+    term.courses.push(course);
+  });
+
+  return {
+    institution: findInstitution(normalized),
+    gradingScale,
+    student: {
+      name: findStudentField(normalized, 'name'),
+      id: findStudentField(normalized, 'id'),
+      programme: findStudentField(normalized, 'programme'),
+    },
+    terms,
+  };
+}
+
+/**
+ * Finds every course code mentioned in a text, in normalized form ("CSC 101")
+ * Unlike parseTranscript, codes without a title or grade are included.
+ * @param {string} text - Any text, e.g. a summary
+ * @returns {Set} - Normalized course codes
+ */
+export function findCourseCodes(text) {
+  return new Set([...(text || '').matchAll(COURSE_CODE_REGEX)].map(match => `${match[1]} ${match[2]}`));
+}
+
+/**
+ * Gets every course of a parsed transcript as a flat list
+ * @param {Object} parsedTranscript - Result of parseTranscript
+ * @returns {Array} - Courses with their term label and grading scale attached
+ */
+export function getAllCourses(parsedTranscript) {
+  if (!parsedTranscript) return [];
+
+  return parsedTranscript.terms.flatMap(term =>
+    term.courses.map(course => ({
+      ...course,
+      term: term.label,
+      gradingScale: term.gradingScale || parsedTranscript.gradingScale || DEFAULT_GRADING_SCALE,
+    }))
+  );
+}
+
+/**
+ * Classifies a course as Strong, Average or Weak
+ * @param {Object} course - Course object
+ * @returns {string|null} - 'Strong' | 'Average' | 'Weak', or null if there is no grade information
+ */
+export function getCourseStrength(course) {
+  const ratio = rankValue(course);
+
+  if (ratio === null) return null;
+  if (ratio >= 0.7) return 'Strong';
+  if (ratio < 0.5) return 'Weak';
+  return 'Average';
+}
+
+/**
+ * Computes averages and strongest/weakest courses from a parsed transcript
+ * @param {Object} parsedTranscript - Result of parseTranscript
+ * @returns {Object} - { courseCount, totalUnits, averageScore, gradePointAverage, strongest, weakest }
+ */
+export function computeTranscriptStats(parsedTranscript) {
+  const courses = getAllCourses(parsedTranscript);
+
+  const counted = courses.filter(isCountedCourse);
+  const scored = counted.filter(c => c.score !== null);
+  const gpa = computeGPA(parsedTranscript);
+
+  const ranked = counted
+    .map(course => ({ course, rank: rankValue(course) }))
+    .filter(entry => entry.rank !== null)
+    // Scores order courses within the same grade
+    .sort((a, b) => b.rank - a.rank || (b.course.score ?? 0) - (a.course.score ?? 0))
+    .map(entry => entry.course);
+
+  return {
+    courseCount: courses.length,
+    totalUnits: counted.reduce((sum, c) => sum + (c.units || 0), 0),
+    averageScore: scored.length
+      ? round(scored.reduce((sum, c) => sum + c.score, 0) / scored.length)
+      : null,
+    gradePointAverage: gpa ? gpa.cgpa : null,
+    strongest: ranked.filter(c => getCourseStrength(c) === 'Strong').slice(0, 5),
+    weakest: ranked.filter(c => getCourseStrength(c) === 'Weak').reverse().slice(0, 5),
+  };
+}
+
+/**
+ * Formats a parsed transcript as plain text for inclusion in a prompt
+ * @param {Object} parsedTranscript - Result of parseTranscript
+ * @returns {string} - Formatted course table and computed figures, or '' if no courses were found
+ */
+export function formatParsedTranscript(parsedTranscript) {
+  const courses = getAllCourses(parsedTranscript);
+  if (courses.length === 0) return '';
+
+  const stats = computeTranscriptStats(parsedTranscript);
+  const lines = [];
+
+  if (parsedTranscript.institution) {
+    lines.push(`Institution: ${parsedTranscript.institution}`);
+  }
+  (parsedTranscript.institutions || []).forEach(({ label, name, fileName }) => {
+    lines.push(`${label}: ${name || 'Name not detected'} (${fileName})`);
+  });
+  if (parsedTranscript.student.programme) {
+    lines.push(`Programme: ${parsedTranscript.student.programme}`);
+  }
+  if (lines.length > 0) lines.push('');
+
+  lines.push('| Term | Code | Course | Units | Grade | Score | Grade Points | Strength | Status |');
+  lines.push('|---|---|---|---|---|---|---|---|---|');
+  courses.forEach(c => {
+    lines.push(`| ${[
+      c.term || '-',
+      c.code,
+      c.title || '-',
+      formatValue(c.units),
+      c.grade || '-',
+      formatValue(c.score),
+      formatValue(c.gradePoints),
+      getCourseStrength(c) || '-',
+      c.status || 'completed',
+    ].join(' | ')} |`);
+  });
+
+  lines.push('');
+  lines.push(`Courses: ${stats.courseCount}`);
+  const excluded = courses.filter(c => !isCountedCourse(c));
+  if (excluded.length > 0) {
+    lines.push(`Excluded from averages (repeated or withdrawn): ${excluded.map(describeCourse).join(', ')}`);
+  }
+  lines.push(`Total units: ${stats.totalUnits}`);
+  if (stats.averageScore !== null) {
+    lines.push(`Average score: ${stats.averageScore}`);
+  }
+  const gpaReport = formatGPAReport(computeGPA(parsedTranscript));
+  if (gpaReport) {
+    lines.push(gpaReport);
+  }
+  if (stats.strongest.length > 0) {
+    lines.push(`Strongest courses: ${stats.strongest.map(describeCourse).join(', ')}`);
+  }
+  if (stats.weakest.length > 0) {
+    lines.push(`Weakest courses: ${stats.weakest.map(describeCourse).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Finds every course row in the text
+ * @param {string} text - Normalized transcript text
+ * @returns {Array} - [{ index, course }]
+ */
+function findCourses(text) {
+  const matches = [...text.matchAll(COURSE_CODE_REGEX)];
+  const courses = [];
+
+  matches.forEach((match, i) => {
+    const start = match.index + match[0].length;
+    const end = i + 1 < matches.length ? matches[i + 1].index : text.length;
+    const course = parseCourseSegment(`${match[1]} ${match[2]}`, text.slice(start, end));
+
+    // A code with neither a title nor a grade is usually a reference (e.g. "Prerequisite: CSC 101")
+    if (!course.title && course.grade === null && course.score === null) return;
+
+    courses.push({ index: match.index, course });
+  });
+
+  return courses;
+}
+
+/**
+ * Parses the text that follows a course code into course fields
+ * @param {string} code - Normalized course code
+ * @param {string} segment - Text between this course code and the next one
+ * @returns {Object} - Course object
+ */
+function parseCourseSegment(code, segment) {
+  let row = segment.split('\n')[0];
+  const terminator = row.match(ROW_TERMINATOR_REGEX);
+  if (terminator) {
+    row = row.slice(0, terminator.index);
+  }
+
+  // Layout-mode rows keep their table cells, so a title such as "Calculus 2" stays intact
+  const isDelimited = /[\t|]/.test(row);
+  const tokens = isDelimited
+    ? row.split(/\t|\|/).map(cell => cell.trim()).filter(Boolean)
+    : row.split(/\s+/).filter(Boolean);
+
+  const titleTokens = [];
+  let i = 0;
+  while (i < tokens.length && !isValueToken(tokens[i], isDelimited)) {
+    titleTokens.push(tokens[i]);
+    i++;
+  }
+
+  const tail = tokens.slice(i).flatMap(token => token.split(/\s+/));
+  let grade = null;
+  let gradeIndex = -1;
+  tail.forEach((token, idx) => {
+    if (grade === null && GRADE_LETTER_REGEX.test(token)) {
+      grade = token;
+      gradeIndex = idx;
+    }
+  });
+
+  // "Physics I A 3" - the grade sits between the title and the numbers
+  if (grade === null && titleTokens.length > 1 && GRADE_LETTER_REGEX.test(titleTokens[titleTokens.length - 1])) {
+    grade = titleTokens.pop();
+  }
+
+  let units = null;
+  let score = null;
+  let gradePoints = null;
+
+  tail.forEach((token, idx) => {
+    if (!NUMBER_REGEX.test(token)) return;
+
+    const isPercent = token.endsWith('%');
+    const value = parseFloat(token);
+
+    // A German numeric grade is followed by credits, not grade points
+    if (gradeIndex !== -1 && idx > gradeIndex && gradePoints === null && value <= 5 && !isPercent && parseNumericGrade(grade) === null) {
+      gradePoints = value;
+    } else if (units === null && value > 0 && value <= 12 && !isPercent) {
+      units = value;
+    } else if (score === null && value <= 100 && (value > 12 || isPercent)) {
+      score = value;
+    }
+  });
+
+  return {
+    id: crypto.randomUUID(),
+    code,
+    title: titleTokens.join(' ').replace(/^[-:.,\s]+|[-:.,\s]+$/g, ''),
+    units,
+    grade,
+    score,
+    gradePoints,
+    status: grade === 'W' ? 'withdrawn' : 'completed',
+  };
+}
+
+/**
+ * Finds term/semester headers and their positions
+ * @param {string} text - Normalized transcript text
+ * @returns {Array} - [{ index, end, label }] sorted by position
+ */
+export function findTermHeaders(text) {
+  const found = TERM_PATTERNS
+    .flatMap(pattern => [...text.matchAll(pattern)])
+    .map(match => ({ index: match.index, end: match.index + match[0].length, label: match[0].replace(/\s+/g, ' ') }))
+    .sort((a, b) => a.index - b.index);
+
+  const headers = [];
+  found.forEach(header => {
+    const previous = headers[headers.length - 1];
+    if (previous && header.index - previous.end <= TERM_MERGE_DISTANCE) {
+      if (header.end > previous.end) {
+        previous.label = text.slice(previous.index, header.end).replace(/\s+/g, ' ');
+        previous.end = header.end;
+      }
+      return;
+    }
+    headers.push(header);
+  });
+
+  return headers;
+}
+
+/**
+ * Finds the issuing institution name
+ * @param {string} text - Normalized transcript text
+ * @returns {string|null} - Institution name
+ */
+function findInstitution(text) {
+  const match = text.match(INSTITUTION_REGEX);
+  if (!match) return null;
+
+  // Blob text runs straight into the next header field, e.g. "University of Lagos Student Name: ..."
+  const allLabels = Object.values(STUDENT_FIELD_LABELS).flat();
+  const labelRegex = new RegExp(`\\s+(?:${allLabels.map(escapeRegExp).join('|')})\\b.*$`, 'i');
+  return match[1].replace(labelRegex, '').trim() || null;
+}
+
+/**
+ * Finds a labelled student field such as "Student Name: Jane Doe"
+ * @param {string} text - Normalized transcript text
+ * @param {string} field - Key of STUDENT_FIELD_LABELS
+ * @returns {string|null} - Field value
+ */
+function findStudentField(text, field) {
+  const allLabels = Object.values(STUDENT_FIELD_LABELS).flat();
+  const stopPattern = `(?=\\s+(?:${allLabels.map(escapeRegExp).join('|')})\\s*[:.]|\\s{2,}|\\n|$)`;
+
+  for (const label of STUDENT_FIELD_LABELS[field]) {
+    const regex = new RegExp(`\\b${escapeRegExp(label)}\\s*[:.]\\s*([^\\n]{1,60}?)${stopPattern}`, 'i');
+    const match = text.match(regex);
+    if (match && match[1].trim()) {
+      return match[1].trim();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a token ends the title and starts the grade/units part of a row
+ * Whole cells can also be a bare grade letter; free text only ends the title at a number
+ */
+function isValueToken(token, isDelimited) {
+  if (NUMBER_REGEX.test(token)) return true;
+  return isDelimited && GRADE_LETTER_REGEX.test(token);
+}
+
+/**
+ * Fills in grade points the transcript does not state, using the detected scale
+ */
+function fillGradePoints(course, scaleId) {
+  if (course.gradePoints === null) {
+    course.gradePoints = getGradePointsForGrade(course.grade, scaleId);
+  }
+}
+
+// Read through the course's scale, so strength labels agree with the GPA equivalents
+function rankValue(course) {
+  const scaleId = course.gradingScale || DEFAULT_GRADING_SCALE;
+  const value = getCoursePoints(course, scaleId);
+  return value === null ? null : normalizeGrade(value, scaleId);
+}
+
+function describeCourse(course) {
+  return course.title ? `${course.code} (${course.title})` : course.code;
+}
+
+function formatValue(value) {
+  return value === null || value === undefined ? '-' : String(value);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
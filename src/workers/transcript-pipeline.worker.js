@@ -0,0 +1,70 @@
+/**
+ * Transcript Pipeline Worker
+ * Runs file extraction and summarization off the main thread
+ *
+ * Incoming messages:
+ *   { type: 'extract', jobId, file, password }
+ *   { type: 'summarize', jobId, text, providerSettings }
+ *   { type: 'cancel', jobId }
+ * Outgoing messages:
+ *   { type: 'progress', jobId, progress }
+ *   { type: 'usage', jobId, usage }
+ *   { type: 'result', jobId, result }
+ *   { type: 'error', jobId, message, code }
+ */
+
+import { readTranscriptFile } from '../services/file-readers';
+import { summarizeTranscript } from '../services/transcript-summarizer';
+import { setProviderSettingsOverride } from '../services/provider-settings';
+
+const controllers = new Map(); // jobId -> AbortController
+
+const JOBS = {
+  extract: (data, options) => readTranscriptFile(data.file, { ...options, password: data.password }),
+  summarize: async (data, options) => {
+    // The worker has no localStorage, so it uses the settings the page resolved
+    setProviderSettingsOverride(data.providerSettings);
+    let complete = true;
+    const summary = await summarizeTranscript(data.text, { ...options, onFallback: () => { complete = false; } });
+    return { summary, complete };
+  },
+};
+
+self.onmessage = async ({ data }) => {
+  const { type, jobId } = data;
+
+  if (type === 'cancel') {
+    controllers.get(jobId)?.abort();
+    controllers.delete(jobId);
+    return;
+  }
+
+  const controller = new AbortController();
+  controllers.set(jobId, controller);
+
+  const onProgress = (progress) => {
+    if (!controller.signal.aborted) {
+      self.postMessage({ type: 'progress', jobId, progress });
+    }
+  };
+
+  try {
+    if (!JOBS[type]) {
+      throw new Error(`Unknown pipeline job: ${type}`);
+    }
+
+    const onUsage = (usage) => self.postMessage({ type: 'usage', jobId, usage });
+
+    const result = await JOBS[type](data, { onProgress, onUsage, signal: controller.signal });
+    if (!controller.signal.aborted) {
+      self.postMessage({ type: 'result', jobId, result });
+    }
+  } catch (error) {
+    // Cancelled jobs were already settled on the main thread
+    if (!controller.signal.aborted) {
+      self.postMessage({ type: 'error', jobId, message: error.message || 'Processing failed.', code: error.code });
+    }
+  } finally {
+    controllers.delete(jobId);
+  }
+};
@@ -1,11 +1,30 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { viteStaticCopy } from 'vite-plugin-static-copy'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [
     react(),
-    tailwindcss()
+    tailwindcss(),
+    // Self-host the OCR engine so scanned transcripts never leave the browser
+    viteStaticCopy({
+      targets: [
+        { src: 'node_modules/tesseract.js/dist/worker.min.js', dest: 'tesseract', rename: { stripBase: true } },
+        { src: 'node_modules/tesseract.js-core/tesseract-core*-lstm.wasm.js', dest: 'tesseract/core', rename: { stripBase: true } },
+        { src: 'node_modules/@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz', dest: 'tesseract/lang', rename: { stripBase: true } },
+      ],
+    }),
   ],
+  // The transcript pipeline worker imports pdfjs and tesseract, which need ES module output
+  worker: {
+    format: 'es',
+  },
+  // Chat proxy started with `bun run proxy`; on Netlify /api is served by the function
+  server: {
+    proxy: {
+      '/api': `http://localhost:${process.env.PROXY_PORT || 8787}`,
+    },
+  },
 })